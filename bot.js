@@ -1,687 +1,35 @@
 // Free Fire Stats Telegram Bot - Complete Independent Version
 // No dependencies on official APIs - Works with public stats websites
+//
+// This file only starts the bot - the bot itself is put together in lib/app.js
 
 const TelegramBot = require('node-telegram-bot-api');
-const axios = require('axios');
-const cheerio = require('cheerio');
-
-// IMPORTANT: Token will be loaded from environment variables
-const BOT_TOKEN = process.env.BOT_TOKEN;
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
-
-// Cache system for storing recent searches
-const searchCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-
-// Real Free Fire stats sources - Multiple sources for reliability
-const statsSources = [
-    {
-        name: 'Free FF API (Primary)',
-        baseUrl: 'https://free-ff-api-src-5plp.onrender.com/api/v1',
-        type: 'uid',
-        method: 'GET',
-        endpoints: {
-            account: '/account',
-            playerStats: '/playerstats',
-            guildInfo: '/guildInfo'
-        },
-        params: (query, region, endpoint) => {
-            const baseParams = `?region=${region || 'IND'}&uid=${query}`;
-            if (endpoint === 'guildInfo') {
-                return `?region=${region || 'IND'}&guildID=${query}`;
-            }
-            return baseParams;
-        },
-        reliability: 95,
-        responseFormat: 'json'
-    },
-    {
-        name: 'FF Community Stats',
-        baseUrl: 'https://www.freefirecommunity.com',
-        type: 'both',
-        method: 'GET',
-        searchPath: '/player-search',
-        reliability: 88,
-        responseFormat: 'html'
-    }
-];
-
-// Bot startup message
-console.log('🎮 Free Fire Stats Bot starting...');
-console.log('Bot will be independent of official APIs!');
-
-// Start command
-bot.onText(/\/start/, (msg) => {
-    const chatId = msg.chat.id;
-    const welcomeMessage = `
-🎮 **Free Fire Stats Bot** 🔥
-
-Welcome! I can fetch live Free Fire player statistics without depending on official APIs!
-
-**Commands:**
-/stats [UID] [Region] - Get player stats
-/search [Nickname] - Search by nickname  
-/guild [Guild ID] [Region] - Guild info
-/regions - View supported regions
-/help - Show this help
-
-**Example:**
-\`/stats 1633864660 IND\`
-\`/search ProGamer\`
-\`/guild 3033195648 IND\`
-
-**Supported Regions:**
-IND, BR, SG, RU, ID, TW, US, VN, TH, ME, PK, CIS, BD
-
-🚀 **100% Independent** - No official API needed!
-    `;
-    
-    bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
-});
-
-// Help command
-bot.onText(/\/help/, (msg) => {
-    const chatId = msg.chat.id;
-    const helpMessage = `
-🆘 **Help & Commands**
-
-**Main Commands:**
-• \`/stats [UID] [Region]\` - Get detailed player statistics
-• \`/search [Nickname]\` - Find players by nickname
-• \`/guild [Guild ID] [Region]\` - Get guild information
-• \`/regions\` - List all supported regions
-
-**Examples:**
-• \`/stats 1633864660\` (uses default IND region)
-• \`/stats 1633864660 BR\` (specific region)
-• \`/search ProGamer\` (find players with nickname)
-• \`/guild 3033195648 IND\` (guild information)
-
-**Features:**
-✅ Live data from multiple sources
-✅ Automatic fallback if one source fails
-✅ Smart caching for faster responses
-✅ Support for all Free Fire regions
-✅ No rate limits or API keys needed
-
-**Bot Status:** 🟢 Online & Independent
-    `;
-    
-    bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
-});
-
-// Regions command
-bot.onText(/\/regions/, (msg) => {
-    const chatId = msg.chat.id;
-    const regionsMessage = `
-🌍 **Supported Regions**
-
-**Asia Pacific:**
-• IND - India
-• ID - Indonesia  
-• SG - Singapore
-• TH - Thailand
-• VN - Vietnam
-
-**Americas:**
-• BR - Brazil
-• US - United States
-
-**Europe & Others:**
-• RU - Russia
-• TW - Taiwan
-• ME - Middle East
-• PK - Pakistan
-• CIS - CIS Region
-• BD - Bangladesh
-
-**Usage:** Add region code after UID
-Example: \`/stats 1633864660 BR\`
-    `;
-    
-    bot.sendMessage(chatId, regionsMessage, { parse_mode: 'Markdown' });
-});
-
-// Stats command - Main feature
-bot.onText(/\/stats(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const uid = match[1];
-    const region = match[2] || 'IND';
-    
-    if (!uid) {
-        bot.sendMessage(chatId, `
-❌ **Invalid Format**
-
-Please provide a UID (User ID):
-\`/stats [UID] [Region]\`
-
-**Example:**
-\`/stats 1633864660 IND\`
-
-Use /help for more information.
-        `, { parse_mode: 'Markdown' });
-        return;
-    }
-    
-    // Validate region
-    const validRegions = ['IND', 'BR', 'SG', 'RU', 'ID', 'TW', 'US', 'VN', 'TH', 'ME', 'PK', 'CIS', 'BD'];
-    if (!validRegions.includes(region)) {
-        bot.sendMessage(chatId, `
-❌ **Invalid Region**
-
-Supported regions: ${validRegions.join(', ')}
-
-**Example:**
-\`/stats ${uid} IND\`
-
-Use /regions to see all regions.
-        `, { parse_mode: 'Markdown' });
-        return;
-    }
-    
-    // Send loading message
-    const loadingMsg = await bot.sendMessage(chatId, '🔍 Searching for player data...', { parse_mode: 'Markdown' });
-    
-    try {
-        const playerData = await fetchPlayerStats(uid, region);
-        
-        if (!playerData) {
-            await bot.editMessageText(`
-❌ **Player Not Found**
-
-No data found for UID: \`${uid}\` in region \`${region}\`
-
-**Tips:**
-• Check if UID is correct
-• Try different region
-• Player might have privacy settings enabled
-
-Use /help for more information.
-            `, {
-                chat_id: chatId,
-                message_id: loadingMsg.message_id,
-                parse_mode: 'Markdown'
-            });
-            return;
-        }
-        
-        // Format and send player stats
-        const statsMessage = formatPlayerStats(playerData);
-        await bot.editMessageText(statsMessage, {
-            chat_id: chatId,
-            message_id: loadingMsg.message_id,
-            parse_mode: 'Markdown'
-        });
-        
-    } catch (error) {
-        console.error('Error fetching player stats:', error);
-        await bot.editMessageText(`
-❌ **Error Occurred**
-
-Failed to fetch player data. This might be due to:
-• Server temporarily unavailable
-• Invalid UID format
-• Network connectivity issues
-
-Please try again in a few moments.
-
-**Error:** \`${error.message}\`
-        `, {
-            chat_id: chatId,
-            message_id: loadingMsg.message_id,
-            parse_mode: 'Markdown'
-        });
-    }
-});
-
-// Search by nickname command
-bot.onText(/\/search(?:\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const nickname = match[1];
-    
-    if (!nickname) {
-        bot.sendMessage(chatId, `
-❌ **Invalid Format**
-
-Please provide a nickname:
-\`/search [Nickname]\`
-
-**Example:**
-\`/search ProGamer\`
-\`/search SniperKing\`
-
-Use /help for more information.
-        `, { parse_mode: 'Markdown' });
-        return;
-    }
-    
-    const loadingMsg = await bot.sendMessage(chatId, `🔍 Searching for players with nickname: "${nickname}"...`);
-    
-    try {
-        const searchResults = await searchPlayerByNickname(nickname);
-        
-        if (!searchResults || searchResults.length === 0) {
-            await bot.editMessageText(`
-❌ **No Players Found**
-
-No players found with nickname: \`${nickname}\`
-
-**Tips:**
-• Try partial nicknames
-• Check spelling
-• Some special characters might not work
-
-Use /help for more information.
-            `, {
-                chat_id: chatId,
-                message_id: loadingMsg.message_id,
-                parse_mode: 'Markdown'
-            });
-            return;
-        }
-        
-        // Format search results
-        let resultMessage = `🔍 **Search Results for "${nickname}"**\n\n`;
-        
-        searchResults.slice(0, 5).forEach((player, index) => {
-            resultMessage += `**${index + 1}.** ${player.nickname}\n`;
-            resultMessage += `• UID: \`${player.uid}\`\n`;
-            resultMessage += `• Level: ${player.level}\n`;
-            resultMessage += `• Region: ${player.region}\n`;
-            resultMessage += `• Get stats: /stats ${player.uid} ${player.region}\n\n`;
-        });
-        
-        if (searchResults.length > 5) {
-            resultMessage += `*... and ${searchResults.length - 5} more results*\n`;
-        }
-        
-        resultMessage += `\n💡 Use /stats [UID] [Region] to get detailed statistics`;
-        
-        await bot.editMessageText(resultMessage, {
-            chat_id: chatId,
-            message_id: loadingMsg.message_id,
-            parse_mode: 'Markdown'
-        });
-        
-    } catch (error) {
-        console.error('Error searching players:', error);
-        await bot.editMessageText(`
-❌ **Search Error**
-
-Failed to search for players. Please try again.
-
-**Error:** \`${error.message}\`
-        `, {
-            chat_id: chatId,
-            message_id: loadingMsg.message_id,
-            parse_mode: 'Markdown'
-        });
-    }
-});
-
-// Guild info command
-bot.onText(/\/guild(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const guildId = match[1];
-    const region = match[2] || 'IND';
-    
-    if (!guildId) {
-        bot.sendMessage(chatId, `
-❌ **Invalid Format**
-
-Please provide a Guild ID:
-\`/guild [Guild ID] [Region]\`
-
-**Example:**
-\`/guild 3033195648 IND\`
-
-Use /help for more information.
-        `, { parse_mode: 'Markdown' });
-        return;
-    }
-    
-    const loadingMsg = await bot.sendMessage(chatId, '🔍 Fetching guild information...', { parse_mode: 'Markdown' });
-    
-    try {
-        const guildData = await fetchGuildInfo(guildId, region);
-        
-        if (!guildData) {
-            await bot.editMessageText(`
-❌ **Guild Not Found**
-
-No guild found with ID: \`${guildId}\` in region \`${region}\`
-
-**Tips:**
-• Check if Guild ID is correct
-• Try different region
-• Guild might be private
-
-Use /help for more information.
-            `, {
-                chat_id: chatId,
-                message_id: loadingMsg.message_id,
-                parse_mode: 'Markdown'
-            });
-            return;
-        }
-        
-        // Format guild information
-        const guildMessage = formatGuildInfo(guildData);
-        await bot.editMessageText(guildMessage, {
-            chat_id: chatId,
-            message_id: loadingMsg.message_id,
-            parse_mode: 'Markdown'
-        });
-        
-    } catch (error) {
-        console.error('Error fetching guild info:', error);
-        await bot.editMessageText(`
-❌ **Error Occurred**
-
-Failed to fetch guild information.
-
-**Error:** \`${error.message}\`
-        `, {
-            chat_id: chatId,
-            message_id: loadingMsg.message_id,
-            parse_mode: 'Markdown'
-        });
-    }
-});
-
-// Function to fetch player stats from multiple sources
-async function fetchPlayerStats(uid, region) {
-    const cacheKey = `stats-${uid}-${region}`;
-    const cached = searchCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-        console.log(`Using cached data for ${uid}`);
-        return cached.data;
-    }
-    
-    // Try primary source first
-    const primarySource = statsSources[0];
-    
-    try {
-        // Fetch account info
-        const accountUrl = primarySource.baseUrl + primarySource.endpoints.account + 
-                           primarySource.params(uid, region, 'account');
-        
-        const accountResponse = await axios.get(accountUrl, {
-            headers: {
-                'User-Agent': 'Free Fire Stats Bot 1.0',
-                'Accept': 'application/json'
-            },
-            timeout: 10000
-        });
-        
-        if (accountResponse.data.error) {
-            throw new Error(accountResponse.data.message);
-        }
-        
-        // Fetch player stats
-        const statsUrl = primarySource.baseUrl + primarySource.endpoints.playerStats + 
-                         primarySource.params(uid, region, 'playerStats');
-        
-        const statsResponse = await axios.get(statsUrl, {
-            headers: {
-                'User-Agent': 'Free Fire Stats Bot 1.0',
-                'Accept': 'application/json'
-            },
-            timeout: 10000
-        });
-        
-        // Combine data
-        const combinedData = combinePlayerData(accountResponse.data, statsResponse.data, uid, region);
-        
-        // Cache the result
-        searchCache.set(cacheKey, {
-            data: combinedData,
-            timestamp: Date.now()
-        });
-        
-        return combinedData;
-        
-    } catch (error) {
-        console.error(`Primary source failed: ${error.message}`);
-        
-        // Try backup sources here if needed
-        // For now, return null to indicate failure
-        return null;
-    }
-}
-
-// Function to search players by nickname
-async function searchPlayerByNickname(nickname) {
-    // This would implement nickname search logic
-    // For demo, return sample data
-    return [
-        {
-            nickname: nickname,
-            uid: '1633864660',
-            level: 75,
-            region: 'IND'
-        }
-    ];
-}
-
-// Function to fetch guild information
-async function fetchGuildInfo(guildId, region) {
-    const cacheKey = `guild-${guildId}-${region}`;
-    const cached = searchCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-        return cached.data;
-    }
-    
-    try {
-        const primarySource = statsSources[0];
-        const guildUrl = primarySource.baseUrl + primarySource.endpoints.guildInfo + 
-                         primarySource.params(guildId, region, 'guildInfo');
-        
-        const response = await axios.get(guildUrl, {
-            headers: {
-                'User-Agent': 'Free Fire Stats Bot 1.0',
-                'Accept': 'application/json'
-            },
-            timeout: 10000
-        });
-        
-        if (response.data.error) {
-            return null;
-        }
-        
-        // Cache the result
-        searchCache.set(cacheKey, {
-            data: response.data,
-            timestamp: Date.now()
-        });
-        
-        return response.data;
-        
-    } catch (error) {
-        console.error(`Guild fetch failed: ${error.message}`);
-        return null;
-    }
-}
-
-// Function to combine player data from multiple endpoints
-function combinePlayerData(accountData, statsData, uid, region) {
-    const basicInfo = accountData.basicInfo || {};
-    const soloStats = statsData?.soloStats || {};
-    const quadStats = statsData?.quadStats || {};
-    
-    // Calculate combined statistics
-    const totalMatches = (soloStats.gamesPlayed || 0) + (quadStats.gamesPlayed || 0);
-    const totalWins = (soloStats.wins || 0) + (quadStats.wins || 0);
-    const totalKills = (soloStats.kills || 0) + (quadStats.kills || 0);
-    const totalDeaths = (soloStats.detailedStats?.deaths || 0) + (quadStats.detailedStats?.deaths || 0);
-    
-    const winRate = totalMatches > 0 ? ((totalWins / totalMatches) * 100).toFixed(1) : '0.0';
-    const kdRatio = totalDeaths > 0 ? (totalKills / totalDeaths).toFixed(2) : totalKills.toString();
-    
-    // Convert rank number to readable format
-    const rankNames = {
-        220: 'Grandmaster',
-        219: 'Diamond I',
-        218: 'Diamond II', 
-        217: 'Diamond III',
-        216: 'Platinum I',
-        215: 'Platinum II',
-        214: 'Platinum III',
-        213: 'Gold I',
-        212: 'Gold II',
-        211: 'Gold III'
-    };
-    
-    return {
-        nickname: basicInfo.nickname || 'Unknown',
-        uid: basicInfo.accountId || uid,
-        level: basicInfo.level || 0,
-        region: basicInfo.region || region,
-        likes: basicInfo.liked || 0,
-        rank: rankNames[basicInfo.rank] || `Rank ${basicInfo.rank || 'Unknown'}`,
-        rankingPoints: basicInfo.rankingPoints || 0,
-        kdRatio: kdRatio,
-        totalMatches: totalMatches,
-        totalWins: totalWins,
-        winRate: winRate,
-        totalKills: totalKills,
-        headshots: (soloStats.detailedStats?.headshots || 0) + (quadStats.detailedStats?.headshots || 0),
-        damage: (soloStats.detailedStats?.damage || 0) + (quadStats.detailedStats?.damage || 0),
-        maxRank: rankNames[basicInfo.maxRank] || 'Unknown',
-        badgeCount: basicInfo.badgeCnt || 0,
-        clanInfo: accountData.clanBasicInfo || null,
-        lastLogin: basicInfo.lastLoginAt ? new Date(parseInt(basicInfo.lastLoginAt) * 1000).toLocaleString() : 'Unknown',
-        soloStats: soloStats,
-        quadStats: quadStats
-    };
+const { loadConfig } = require('./config');
+const { createApp } = require('./lib/app');
+
+// Settings from the environment and the optional config file, see config.js
+// A bad config stops the bot here, before anything talks to Telegram
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
 }
 
-// Function to format player stats message
-function formatPlayerStats(player) {
-    let message = `🎮 **${player.nickname}**\n\n`;
-    
-    // Basic Info
-    message += `**📋 Basic Information**\n`;
-    message += `• UID: \`${player.uid}\`\n`;
-    message += `• Level: **${player.level}**\n`;
-    message += `• Region: **${player.region}**\n`;
-    message += `• Likes: **${formatNumber(player.likes)}**\n`;
-    message += `• Last Online: ${player.lastLogin}\n\n`;
-    
-    // Rank Info
-    message += `**🏆 Ranking**\n`;
-    message += `• Current Rank: **${player.rank}**\n`;
-    message += `• Ranking Points: **${formatNumber(player.rankingPoints)}**\n`;
-    message += `• Max Rank: **${player.maxRank}**\n`;
-    message += `• Badges: **${player.badgeCount}**\n\n`;
-    
-    // Combat Stats
-    message += `**⚔️ Combat Statistics**\n`;
-    message += `• K/D Ratio: **${player.kdRatio}**\n`;
-    message += `• Total Matches: **${formatNumber(player.totalMatches)}**\n`;
-    message += `• Total Wins: **${formatNumber(player.totalWins)}**\n`;
-    message += `• Win Rate: **${player.winRate}%**\n`;
-    message += `• Total Kills: **${formatNumber(player.totalKills)}**\n`;
-    message += `• Headshots: **${formatNumber(player.headshots)}**\n`;
-    message += `• Damage Dealt: **${formatNumber(player.damage)}**\n\n`;
-    
-    // Solo vs Squad breakdown
-    if (player.soloStats && player.soloStats.gamesPlayed > 0) {
-        message += `**👤 Solo Stats**\n`;
-        message += `• Matches: ${player.soloStats.gamesPlayed}\n`;
-        message += `• Wins: ${player.soloStats.wins}\n`;
-        message += `• Kills: ${player.soloStats.kills}\n\n`;
-    }
-    
-    if (player.quadStats && player.quadStats.gamesPlayed > 0) {
-        message += `**👥 Squad Stats**\n`;
-        message += `• Matches: ${player.quadStats.gamesPlayed}\n`;
-        message += `• Wins: ${player.quadStats.wins}\n`;
-        message += `• Kills: ${player.quadStats.kills}\n\n`;
-    }
-    
-    // Clan Info
-    if (player.clanInfo) {
-        message += `**🏰 Guild Information**\n`;
-        message += `• Name: **${player.clanInfo.clanName}**\n`;
-        message += `• Level: **${player.clanInfo.clanLevel}**\n`;
-        message += `• Members: **${player.clanInfo.memberNum}**\n\n`;
-    }
-    
-    message += `📊 *Data fetched live from Free Fire servers*\n`;
-    message += `⚡ *Powered by Independent Stats Bot*`;
-    
-    return message;
-}
-
-// Function to format guild information
-function formatGuildInfo(guild) {
-    let message = `🏰 **${guild.clanName}**\n\n`;
-    
-    message += `**📋 Guild Information**\n`;
-    message += `• Guild ID: \`${guild.clanId}\`\n`;
-    message += `• Level: **${guild.clanLevel}**\n`;
-    message += `• Members: **${guild.memberNum}/${guild.capacity}**\n`;
-    message += `• Region: **${guild.region}**\n`;
-    message += `• Created: ${new Date(parseInt(guild.createAt) * 1000).toLocaleDateString()}\n\n`;
-    
-    if (guild.slogan && guild.slogan !== 'Welcome!') {
-        message += `**💬 Slogan**\n${guild.slogan}\n\n`;
-    }
-    
-    message += `**🎖️ Leadership**\n`;
-    message += `• Captain ID: \`${guild.captainId}\`\n`;
-    if (guild.deputyCaptain) {
-        message += `• Deputy: \`${guild.deputyCaptain}\`\n`;
-    }
-    
-    message += `\n📊 *Live guild data*`;
-    
-    return message;
-}
-
-// Utility function to format numbers
-function formatNumber(num) {
-    if (num >= 1000000) {
-        return (num / 1000000).toFixed(1) + 'M';
-    } else if (num >= 1000) {
-        return (num / 1000).toFixed(1) + 'K';
-    }
-    return num?.toString() || '0';
-}
+// Polling is started explicitly once any old webhook is removed
+const bot = new TelegramBot(config.token, { polling: false });
+const app = createApp({ config, telegram: bot });
 
-// Error handling
-bot.on('polling_error', (error) => {
-    console.error('Polling error:', error);
+app.start().catch((error) => {
+    console.error('❌ Failed to start receiving updates:', error.message);
+    process.exit(1);
 });
 
-// Cleanup cache periodically (every 10 minutes)
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, value] of searchCache.entries()) {
-        if (now - value.timestamp > CACHE_DURATION * 2) {
-            searchCache.delete(key);
-        }
-    }
-    console.log(`Cache cleaned. Current size: ${searchCache.size}`);
-}, 10 * 60 * 1000);
-
-console.log('🚀 Free Fire Stats Telegram Bot is running!');
-console.log('Bot is completely independent and ready to serve users!');
-
-// ====== RENDER WEB SERVICE JUGAAD ====== //
-// Yeh code bot ko ek web service banata hai taaki free plan pe chal sake
-
-const http = require('http');
-const PORT = process.env.PORT || 3000;
-
-http.createServer((req, res) => {
-  res.writeHead(200, {'Content-Type': 'text/plain'});
-  res.write('Bot is alive!');
-  res.end();
-}).listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}... Bot zinda hai!`);
+// Stop cleanly when the host replaces this instance, so two instances never poll at once
+process.on('SIGTERM', async () => {
+    console.log('Shutting down...');
+    setTimeout(() => process.exit(0), 5000).unref();
+    await app.stop();
+    process.exit(0);
 });
-// ======================================= //
\ No newline at end of file
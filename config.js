@@ -0,0 +1,386 @@
+// Configuration of the Free Fire Stats Bot
+// Built-in defaults, overridden by an optional JSON file, overridden by environment
+// variables. The JSON file is CONFIG_FILE, or config.json next to this file when it
+// exists - see config.example.json. Everything is validated once at startup.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Response formats the bot has a source adapter for
+const SOURCE_FORMATS = ['json', 'html'];
+
+// Defaults used for anything neither the config file nor the environment sets
+function defaultConfig() {
+    return {
+        token: undefined,
+        // How updates arrive: 'polling' (for local development) or 'webhook',
+        // where Telegram posts updates to our HTTP server
+        mode: 'polling',
+        webhook: {
+            url: '',       // public https base URL
+            secret: undefined,
+            path: undefined // defaults to an unguessable path derived from the token
+        },
+        port: 3000,
+        dataDir: path.join(__dirname, 'data'),
+        // Telegram user IDs allowed to use admin commands
+        adminIds: [],
+        // Optional bearer token protecting /metrics
+        metricsToken: undefined,
+        defaultRegion: 'IND',
+        // Supported regions in /regions order - names are the fallback when a
+        // message catalog has no region.<code> entry
+        regions: [
+            { code: 'IND', name: 'India', group: 'asiaPacific' },
+            { code: 'ID', name: 'Indonesia', group: 'asiaPacific' },
+            { code: 'SG', name: 'Singapore', group: 'asiaPacific' },
+            { code: 'TH', name: 'Thailand', group: 'asiaPacific' },
+            { code: 'VN', name: 'Vietnam', group: 'asiaPacific' },
+            { code: 'BR', name: 'Brazil', group: 'americas' },
+            { code: 'US', name: 'United States', group: 'americas' },
+            { code: 'RU', name: 'Russia', group: 'europeOthers' },
+            { code: 'TW', name: 'Taiwan', group: 'europeOthers' },
+            { code: 'ME', name: 'Middle East', group: 'europeOthers' },
+            { code: 'PK', name: 'Pakistan', group: 'europeOthers' },
+            { code: 'CIS', name: 'CIS Region', group: 'europeOthers' },
+            { code: 'BD', name: 'Bangladesh', group: 'europeOthers' }
+        ],
+        // Outbound requests to the stats sources - a source may set its own timeout
+        http: {
+            userAgent: 'Free Fire Stats Bot 1.0',
+            timeout: 10000,
+            // Timeouts, 5xx and 429 answers are retried this many times, waiting
+            // retryDelay, then twice that and so on up to maxRetryDelay
+            retries: 2,
+            retryDelay: 1000,
+            maxRetryDelay: 8000,
+            // A source failing this many requests in a row is skipped for
+            // resetTimeout, then one trial request decides whether it is back
+            circuitBreaker: {
+                failureThreshold: 5,
+                resetTimeout: 60 * 1000
+            }
+        },
+        cache: {
+            backend: 'memory',  // 'memory' (bounded LRU) or 'disk' (survives restarts)
+            maxEntries: 1000,  // entries either backend keeps before dropping the least recently used
+            ttl: {
+                player: 5 * 60 * 1000,  // 5 minutes
+                guild: 30 * 60 * 1000   // 30 minutes
+            },
+            staleMaxAge: 24 * 60 * 60 * 1000, // stale copies are served for up to a day
+            staleWait: 3000 // how long a stale hit waits for fresh data before answering
+        },
+        watch: {
+            pointsThreshold: 50
+        },
+        // Real Free Fire stats sources - Multiple sources for reliability
+        // Endpoint templates fill in {region}, {uid} and {guildId}
+        sources: [
+            {
+                name: 'Free FF API (Primary)',
+                baseUrl: 'https://free-ff-api-src-5plp.onrender.com/api/v1',
+                type: 'uid',
+                method: 'GET',
+                endpoints: {
+                    account: '/account?region={region}&uid={uid}',
+                    playerStats: '/playerstats?region={region}&uid={uid}',
+                    guildInfo: '/guildInfo?region={region}&guildID={guildId}'
+                },
+                // Modes outside the career stats come from extra playerstats requests,
+                // stored on the player under field. Each is one more upstream call, so they are
+                // only fetched for the stats tab or export that shows them (stats.withExtraModes)
+                extraStats: [
+                    { field: 'rankedStats', params: '&matchmode=RANKED' },
+                    { field: 'csStats', params: '&gamemode=cs' }
+                ],
+                reliability: 95,
+                responseFormat: 'json'
+            },
+            {
+                name: 'FF Community Stats',
+                baseUrl: 'https://www.freefirecommunity.com',
+                type: 'both',
+                method: 'GET',
+                searchPath: '/player-search',
+                profilePath: '/player',
+                // CSS selectors for one row of the nickname search results page
+                searchSelectors: {
+                    result: '.search-result',
+                    nickname: '.result-name',
+                    uid: '.result-uid',
+                    level: '.result-level',
+                    region: '.result-region'
+                },
+                // CSS selectors for the public profile page
+                selectors: {
+                    nickname: '.player-name',
+                    level: '.player-level',
+                    region: '.player-region',
+                    likes: '.player-likes',
+                    rank: '.player-rank',
+                    rankingPoints: '.player-rank-points',
+                    maxRank: '.player-max-rank',
+                    csRank: '.player-cs-rank',
+                    csRankingPoints: '.player-cs-rank-points',
+                    csMaxRank: '.player-cs-max-rank',
+                    badges: '.player-badges',
+                    lastLogin: '.player-last-login',
+                    guildName: '.player-guild .guild-name',
+                    guildLevel: '.player-guild .guild-level',
+                    guildMembers: '.player-guild .guild-members',
+                    modeStats: '.mode-stats[data-mode]'
+                },
+                reliability: 88,
+                responseFormat: 'html'
+            }
+        ]
+    };
+}
+
+// Settings taken from environment variables - unset variables are left out
+function configFromEnv(env) {
+    const config = {};
+    const set = (keys, value) => {
+        if (value === undefined || value === '') {
+            return;
+        }
+        let target = config;
+        keys.slice(0, -1).forEach((key) => {
+            target = target[key] = target[key] || {};
+        });
+        target[keys[keys.length - 1]] = value;
+    };
+    // Values that are not numbers stay text so validation can quote them
+    const number = (value) => (value === undefined || value === '' || isNaN(value) ? value : Number(value));
+    const list = (value) => (value === undefined ? undefined : value.split(',').map((item) => item.trim()).filter(Boolean));
+    
+    set(['token'], env.BOT_TOKEN);
+    set(['mode'], env.BOT_MODE);
+    set(['webhook', 'url'], env.WEBHOOK_URL);
+    set(['webhook', 'secret'], env.WEBHOOK_SECRET);
+    set(['webhook', 'path'], env.WEBHOOK_PATH);
+    set(['port'], number(env.PORT));
+    set(['dataDir'], env.DATA_DIR);
+    set(['adminIds'], list(env.ADMIN_IDS));
+    set(['metricsToken'], env.METRICS_TOKEN);
+    set(['defaultRegion'], env.DEFAULT_REGION && env.DEFAULT_REGION.toUpperCase());
+    set(['http', 'userAgent'], env.USER_AGENT);
+    set(['http', 'timeout'], number(env.HTTP_TIMEOUT));
+    set(['http', 'retries'], number(env.HTTP_RETRIES));
+    set(['cache', 'backend'], env.CACHE_BACKEND);
+    set(['cache', 'maxEntries'], number(env.CACHE_MAX_ENTRIES));
+    set(['cache', 'ttl', 'player'], number(env.CACHE_TTL_PLAYER));
+    set(['cache', 'ttl', 'guild'], number(env.CACHE_TTL_GUILD));
+    set(['watch', 'pointsThreshold'], number(env.WATCH_POINTS_THRESHOLD));
+    
+    return config;
+}
+
+// Merge plain objects key by key - arrays and everything else are replaced
+function mergeConfig(base, override) {
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    const merged = { ...base };
+    
+    for (const [key, value] of Object.entries(override || {})) {
+        merged[key] = isObject(value) && isObject(base[key]) ? mergeConfig(base[key], value) : value;
+    }
+    
+    return merged;
+}
+
+// Function to check a config and list everything wrong with it
+function validateConfig(config) {
+    const errors = [];
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+    const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+    const isUrl = (value, protocols = ['http:', 'https:']) => {
+        try {
+            return protocols.includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    };
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    // A section the config file sets to null, a list or text is reported and its checks skipped
+    const section = (name, value) => {
+        if (!isObject(value)) {
+            errors.push(`"${name}" must be an object, got ${JSON.stringify(value)}`);
+            return null;
+        }
+        return value;
+    };
+    
+    if (!config.token) {
+        errors.push('BOT_TOKEN is not set - create a bot with @BotFather and set its token in the environment or as "token" in the config file');
+    } else if (!/^\d+:[A-Za-z0-9_-]+$/.test(config.token)) {
+        errors.push('BOT_TOKEN does not look like a Telegram bot token ("123456:ABC-...")');
+    }
+    
+    if (!['polling', 'webhook'].includes(config.mode)) {
+        errors.push(`Unknown BOT_MODE "${config.mode}" - use "polling" or "webhook"`);
+    }
+    const webhook = section('webhook', config.webhook);
+    if (config.mode === 'webhook' && webhook) {
+        // Telegram only delivers updates to https URLs
+        if (!isUrl(webhook.url, ['https:'])) {
+            errors.push(`Webhook mode needs WEBHOOK_URL set to the public https:// URL of the bot, got "${webhook.url || ''}"`);
+        }
+        if (!/^[A-Za-z0-9_-]{1,256}$/.test(webhook.secret || '')) {
+            errors.push('Webhook mode needs a WEBHOOK_SECRET of 1-256 letters, digits, _ or -');
+        }
+    }
+    
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+        errors.push(`PORT must be a port number, got "${config.port}"`);
+    }
+    
+    if (!Array.isArray(config.adminIds) || config.adminIds.some((id) => !/^-?\d+$/.test(String(id)))) {
+        errors.push('ADMIN_IDS must be a comma separated list of numeric Telegram user IDs');
+    }
+    
+    // Region codes are typed in commands, which only accept 2-3 capital letters
+    if (!Array.isArray(config.regions) || config.regions.length === 0) {
+        errors.push('"regions" must list at least one region');
+    } else {
+        const codes = new Set();
+        config.regions.forEach((region, index) => {
+            if (!region || !/^[A-Z]{2,3}$/.test(region.code)) {
+                errors.push(`regions[${index}]: code must be 2-3 capital letters, got "${region && region.code}"`);
+                return;
+            }
+            if (codes.has(region.code)) {
+                errors.push(`regions[${index}]: region ${region.code} is listed twice`);
+            }
+            if (!region.name || !region.group) {
+                errors.push(`regions[${index}]: region ${region.code} needs a name and a group`);
+            }
+            codes.add(region.code);
+        });
+        
+        if (!codes.has(config.defaultRegion)) {
+            errors.push(`Default region "${config.defaultRegion}" is not one of the configured regions`);
+        }
+    }
+    
+    const http = section('http', config.http);
+    if (http) {
+        if (!http.userAgent) {
+            errors.push('"http.userAgent" must not be empty');
+        }
+        if (!isPositiveInteger(http.timeout)) {
+            errors.push(`HTTP_TIMEOUT must be a positive number of milliseconds, got "${http.timeout}"`);
+        }
+        if (!isNonNegativeInteger(http.retries)) {
+            errors.push(`HTTP_RETRIES must be a number of 0 or more, got "${http.retries}"`);
+        }
+        if (!isNonNegativeInteger(http.retryDelay) || !isNonNegativeInteger(http.maxRetryDelay)) {
+            errors.push('"http.retryDelay" and "http.maxRetryDelay" must be milliseconds of 0 or more');
+        }
+        const circuitBreaker = section('http.circuitBreaker', http.circuitBreaker);
+        if (circuitBreaker && (!isPositiveInteger(circuitBreaker.failureThreshold) || !isPositiveInteger(circuitBreaker.resetTimeout))) {
+            errors.push('"http.circuitBreaker.failureThreshold" and "http.circuitBreaker.resetTimeout" must be positive numbers');
+        }
+    }
+    
+    const cache = section('cache', config.cache);
+    if (cache) {
+        if (!['memory', 'disk'].includes(cache.backend)) {
+            errors.push(`Unknown CACHE_BACKEND "${cache.backend}" - use "memory" or "disk"`);
+        }
+        if (!isPositiveInteger(cache.maxEntries)) {
+            errors.push(`CACHE_MAX_ENTRIES must be a positive number, got "${cache.maxEntries}"`);
+        }
+        const ttl = section('cache.ttl', cache.ttl);
+        for (const type of ttl ? ['player', 'guild'] : []) {
+            if (!isPositiveInteger(ttl[type])) {
+                errors.push(`The ${type} cache TTL must be a positive number of milliseconds, got "${ttl[type]}"`);
+            }
+        }
+        if (!isNonNegativeInteger(cache.staleMaxAge) || !isNonNegativeInteger(cache.staleWait)) {
+            errors.push('"cache.staleMaxAge" and "cache.staleWait" must be milliseconds of 0 or more');
+        }
+    }
+    
+    const watch = section('watch', config.watch);
+    if (watch && !isPositiveInteger(watch.pointsThreshold)) {
+        errors.push(`WATCH_POINTS_THRESHOLD must be a positive number, got "${watch.pointsThreshold}"`);
+    }
+    
+    if (!Array.isArray(config.sources) || config.sources.length === 0) {
+        errors.push('"sources" must list at least one stats source');
+    } else {
+        const names = new Set();
+        config.sources.forEach((source, index) => {
+            const where = `sources[${index}]${source && source.name ? ` (${source.name})` : ''}`;
+            if (!source || !source.name) {
+                errors.push(`${where}: every source needs a name`);
+                return;
+            }
+            if (names.has(source.name)) {
+                errors.push(`${where}: the name is used by another source`);
+            }
+            names.add(source.name);
+            
+            if (!isUrl(source.baseUrl)) {
+                errors.push(`${where}: baseUrl must be an http(s) URL`);
+            }
+            if (!SOURCE_FORMATS.includes(source.responseFormat)) {
+                errors.push(`${where}: responseFormat must be one of ${SOURCE_FORMATS.join(', ')}`);
+            }
+            if (typeof source.reliability !== 'number') {
+                errors.push(`${where}: reliability must be a number`);
+            }
+            if (source.timeout !== undefined && !isPositiveInteger(source.timeout)) {
+                errors.push(`${where}: timeout must be a positive number of milliseconds`);
+            }
+            if (source.responseFormat === 'json' && !(source.endpoints && source.endpoints.account && source.endpoints.playerStats)) {
+                errors.push(`${where}: JSON sources need endpoints.account and endpoints.playerStats`);
+            }
+            if (source.responseFormat === 'html' && !(source.profilePath && source.selectors && source.selectors.nickname)) {
+                errors.push(`${where}: HTML sources need a profilePath and selectors.nickname`);
+            }
+        });
+    }
+    
+    return errors;
+}
+
+// Function to load and validate the configuration
+// Throws one error listing every problem, so all of them can be fixed at once
+function loadConfig(env = process.env) {
+    const filePath = env.CONFIG_FILE || path.join(__dirname, 'config.json');
+    let fileConfig = {};
+    
+    if (env.CONFIG_FILE || fs.existsSync(filePath)) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+        }
+    }
+    
+    const config = mergeConfig(mergeConfig(defaultConfig(), fileConfig), configFromEnv(env));
+    
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n${errors.map((error) => `  • ${error}`).join('\n')}`);
+    }
+    
+    // Normalised only once validation has checked the shapes
+    config.webhook.url = String(config.webhook.url || '').replace(/\/+$/, '');
+    config.adminIds = config.adminIds.map(String);
+    
+    // Unguessable default path derived from the token, never the token itself
+    if (!config.webhook.path) {
+        config.webhook.path = `/telegram/${crypto.createHash('sha256').update(config.token).digest('hex').slice(0, 32)}`;
+    }
+    
+    return config;
+}
+
+module.exports = {
+    loadConfig,
+    validateConfig
+};
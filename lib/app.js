@@ -0,0 +1,160 @@
+// The bot put together - stats client, Telegram handlers, background jobs and the HTTP server
+// Nothing runs until start(), so tests can create an app around fake clients
+
+const axios = require('axios');
+const { createMetrics, formatMetricLabels } = require('./metrics');
+const { createStorage } = require('./storage');
+const { createStatsClient } = require('./stats');
+const { createScheduler } = require('./jobs');
+const { WATCH_CHECK_INTERVAL, createHandlers, registerHandlers } = require('./handlers');
+const { createServer } = require('./server');
+
+// Function to create the bot
+// telegram is a node-telegram-bot-api client created with polling off, http is
+// used for every request to the stats sources (axios unless a test passes a fake)
+function createApp({ config, telegram, http = axios }) {
+    const bot = telegram;
+    const BOT_MODE = config.mode;
+    const WEBHOOK_URL = config.webhook.url;
+    const WEBHOOK_SECRET = config.webhook.secret;
+    const WEBHOOK_PATH = config.webhook.path;
+    
+    // Process start time for uptime reporting
+    const startedAt = Date.now();
+    
+    const storage = createStorage(config.dataDir);
+    const metrics = createMetrics();
+    const scheduler = createScheduler(storage);
+    const stats = createStatsClient({ config, http, storage, metrics });
+    const { handlers, checkWatchlist, sendDueDigests, deleteExpiredMessages, pruneRateLimits } = createHandlers({
+        bot, config, stats, storage, metrics, scheduler, healthReport, startedAt
+    });
+    const settled = registerHandlers(bot, handlers, metrics);
+    const server = createServer({ config, bot, metrics, healthReport, renderMetrics });
+    
+    // Snapshot of the bot's health for /healthz and /status
+    // A source whose circuit breaker is open counts as down until it answers again
+    function healthReport() {
+        const sources = config.sources.map((source) => ({ name: source.name, ...stats.sourceHealth.get(source.name) }));
+        const reachable = sources.filter((source) => source.reachable !== false && source.circuit !== 'open').length;
+        
+        return {
+            status: reachable === sources.length ? 'ok' : reachable > 0 ? 'degraded' : 'down',
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+            mode: BOT_MODE,
+            cacheSize: stats.cache.size,
+            sources: sources
+        };
+    }
+    
+    // Function to render all metrics in the Prometheus text format
+    function renderMetrics() {
+        const gauge = (name, help, value) => `# HELP ${name} ${help}\n# TYPE ${name} gauge\n${name} ${value}\n`;
+        const hits = metrics.cache.get('hit');
+        const lookups = hits + metrics.cache.get('miss') + metrics.cache.get('stale');
+        
+        return [
+            ...Object.values(metrics).map((metric) => metric.render()),
+            gauge('ffbot_cache_hit_ratio', 'Share of cache lookups answered from fresh cache', lookups > 0 ? (hits / lookups).toFixed(4) : 0),
+            gauge('ffbot_cache_entries', 'Entries in the stats cache', stats.cache.size),
+            gauge('ffbot_upstream_queue_length', 'Requests waiting for an upstream slot', stats.queueStatus().queued),
+            gauge('ffbot_uptime_seconds', 'Seconds since the bot started', Math.round((Date.now() - startedAt) / 1000)),
+            '# HELP ffbot_source_up Whether a stats source was reachable at the last check\n# TYPE ffbot_source_up gauge\n',
+            ...config.sources.map((source) => {
+                const health = stats.sourceHealth.get(source.name);
+                return `ffbot_source_up${formatMetricLabels(['source'], [source.name])} ${health.reachable === false ? 0 : 1}\n`;
+            }),
+            '# HELP ffbot_source_circuit_open Whether requests to a stats source are skipped after repeated failures\n# TYPE ffbot_source_circuit_open gauge\n',
+            ...config.sources.map((source) => {
+                const health = stats.sourceHealth.get(source.name);
+                return `ffbot_source_circuit_open${formatMetricLabels(['source'], [source.name])} ${health.circuit === 'closed' ? 0 : 1}\n`;
+            })
+        ].join('');
+    }
+    
+    // Cleanup cache periodically - entries too old to be served even as stale copies
+    function cleanupCache() {
+        const now = Date.now();
+        for (const key of stats.cache.keys()) {
+            const entry = stats.cache.get(key);
+            if (!entry || now - entry.timestamp > config.cache.staleMaxAge) {
+                stats.cache.delete(key);
+            }
+        }
+        
+        pruneRateLimits();
+        console.log(`Cache cleaned. Current size: ${stats.cache.size}`);
+    }
+    
+    // Register the webhook or start polling
+    async function startReceivingUpdates() {
+        if (BOT_MODE === 'webhook') {
+            await bot.setWebHook(`${WEBHOOK_URL}${WEBHOOK_PATH}`, {
+                secret_token: WEBHOOK_SECRET,
+                allowed_updates: JSON.stringify(['message', 'callback_query', 'inline_query'])
+            });
+            console.log(`Webhook registered for ${WEBHOOK_URL}`);
+        } else {
+            // A webhook left behind by a deployment blocks getUpdates
+            await bot.deleteWebHook();
+            await bot.startPolling();
+            console.log('Polling for updates');
+        }
+    }
+    
+    // Start the background jobs and the HTTP server, then receive updates
+    async function start() {
+        console.log('🎮 Free Fire Stats Bot starting...');
+        console.log('Bot will be independent of official APIs!');
+        
+        scheduler.scheduleJob('cache-cleanup', 10 * 60 * 1000, cleanupCache);
+        scheduler.scheduleJob('watchlist', WATCH_CHECK_INTERVAL, checkWatchlist);
+        scheduler.scheduleJob('auto-delete', 60 * 1000, deleteExpiredMessages);
+        scheduler.scheduleJob('digests', 60 * 1000, sendDueDigests);
+        scheduler.scheduleJob('source-health', 5 * 60 * 1000, stats.probeSources);
+        scheduler.scheduleJob('snapshot-compaction', 24 * 60 * 60 * 1000, storage.compactSnapshots);
+        
+        await new Promise((resolve) => server.listen(config.port, resolve));
+        console.log(`Server listening on port ${config.port}... Bot zinda hai!`);
+        
+        stats.probeSources().catch((error) => console.error('Source probe failed:', error.message));
+        
+        await startReceivingUpdates();
+        console.log('🚀 Free Fire Stats Telegram Bot is running!');
+        console.log('Bot is completely independent and ready to serve users!');
+    }
+    
+    // Stop receiving updates and let the updates already received finish
+    async function stop() {
+        if (BOT_MODE === 'polling') {
+            await bot.stopPolling().catch(() => {});
+        }
+        scheduler.stopJobs();
+        await settled();
+        if (server.listening) {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    }
+    
+    return {
+        bot,
+        config,
+        stats,
+        storage,
+        metrics,
+        scheduler,
+        server,
+        handlers,
+        checkWatchlist,
+        sendDueDigests,
+        healthReport,
+        renderMetrics,
+        settled,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,113 @@
+// Cache backends for fetched players and guilds
+// Both store { data, timestamp, type } entries and share get/set/delete/keys/size
+
+const fs = require('fs');
+const path = require('path');
+
+// In-memory cache that drops the least recently used entry when full
+function createMemoryCache(maxEntries) {
+    const entries = new Map();
+    
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (entry) {
+                // Re-insert so the Map order stays least to most recently used
+                entries.delete(key);
+                entries.set(key, entry);
+            }
+            return entry;
+        },
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        delete(key) {
+            entries.delete(key);
+        },
+        keys() {
+            return [...entries.keys()];
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+// On-disk cache with one JSON file per entry
+// Holds at most maxEntries files too - the least recently used ones are removed when it grows past that
+function createDiskCache(directory, maxEntries = Infinity) {
+    const fileFor = (key) => path.join(directory, `${key.replace(/[^\w.-]/g, '_')}.json`);
+    
+    // Number of files, counted from the directory on the first write
+    let fileCount = null;
+    
+    // Remove the files used least recently until the cache is back at maxEntries
+    // A read touches its file, so the modification time orders them like the memory cache
+    function evictOldest() {
+        try {
+            const files = fs.readdirSync(directory)
+                .filter((file) => file.endsWith('.json'))
+                .map((file) => ({ file, mtime: fs.statSync(path.join(directory, file)).mtimeMs }))
+                .sort((a, b) => a.mtime - b.mtime);
+            files.slice(0, Math.max(0, files.length - maxEntries)).forEach(({ file }) => fs.rmSync(path.join(directory, file), { force: true }));
+            fileCount = Math.min(files.length, maxEntries);
+        } catch (error) {
+            console.error(`Failed to evict cache entries: ${error.message}`);
+        }
+    }
+    
+    return {
+        get(key) {
+            try {
+                const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+                const now = new Date();
+                fs.utimesSync(fileFor(key), now, now);
+                return entry;
+            } catch (error) {
+                return undefined;
+            }
+        },
+        set(key, entry) {
+            try {
+                if (fileCount === null) {
+                    fileCount = this.keys().length;
+                }
+                const isNew = !fs.existsSync(fileFor(key));
+                fs.mkdirSync(directory, { recursive: true });
+                fs.writeFileSync(fileFor(key), JSON.stringify(entry));
+                if (isNew && ++fileCount > maxEntries) {
+                    evictOldest();
+                }
+            } catch (error) {
+                console.error(`Failed to cache ${key}: ${error.message}`);
+            }
+        },
+        delete(key) {
+            if (fileCount !== null && fs.existsSync(fileFor(key))) {
+                fileCount--;
+            }
+            fs.rmSync(fileFor(key), { force: true });
+        },
+        keys() {
+            try {
+                return fs.readdirSync(directory)
+                    .filter((file) => file.endsWith('.json'))
+                    .map((file) => file.slice(0, -'.json'.length));
+            } catch (error) {
+                return [];
+            }
+        },
+        get size() {
+            return this.keys().length;
+        }
+    };
+}
+
+module.exports = {
+    createMemoryCache,
+    createDiskCache
+};
@@ -0,0 +1,123 @@
+// Stats card image for /card, drawn with pureimage
+
+const path = require('path');
+const { PassThrough } = require('stream');
+const PImage = require('pureimage');
+const { formatNumber } = require('./i18n');
+
+// Stats card image settings - fonts come from the dejavu-fonts-ttf package
+const CARD_WIDTH = 800;
+const CARD_HEIGHT = 450;
+const CARD_FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+let cardFontsLoaded = false;
+
+// Accent colour of the rank badge by rank tier
+const rankColors = {
+    Bronze: '#b0793c',
+    Silver: '#a9b4c2',
+    Gold: '#e0b33a',
+    Platinum: '#4fc3c9',
+    Diamond: '#6d8cff',
+    Heroic: '#c34fe0',
+    Master: '#e0554f',
+    Grandmaster: '#ff3b3b'
+};
+
+// Function to render a player stats card as a PNG buffer
+async function renderPlayerCard(player) {
+    if (!cardFontsLoaded) {
+        await PImage.registerFont(path.join(CARD_FONT_DIR, 'DejaVuSans.ttf'), 'CardSans').load();
+        await PImage.registerFont(path.join(CARD_FONT_DIR, 'DejaVuSans-Bold.ttf'), 'CardSansBold').load();
+        cardFontsLoaded = true;
+    }
+    
+    const image = PImage.make(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = image.getContext('2d');
+    const tier = Object.keys(rankColors).reverse().find((name) => String(player.rank).includes(name));
+    const accent = rankColors[tier] || '#ff8c1a';
+    
+    // Shorten text until it fits in maxWidth
+    const fitText = (text, maxWidth) => {
+        let fitted = String(text);
+        while (fitted.length > 1 && ctx.measureText(fitted).width > maxWidth) {
+            fitted = fitted.slice(0, -2) + '…';
+        }
+        return fitted;
+    };
+    
+    // Background and accent bar
+    const background = ctx.createLinearGradient(0, 0, 0, CARD_HEIGHT);
+    background.addColorStop(0, '#1b1f2e');
+    background.addColorStop(1, '#0d0f17');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    ctx.fillStyle = accent;
+    ctx.fillRect(0, 0, CARD_WIDTH, 8);
+    
+    // Nickname and basic info
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '40pt CardSansBold';
+    ctx.fillText(fitText(player.nickname, 480), 40, 75);
+    
+    ctx.fillStyle = '#9aa3b5';
+    ctx.font = '16pt CardSans';
+    ctx.fillText(`Level ${player.level}  •  ${player.region}  •  UID ${player.uid}`, 40, 115);
+    
+    // Rank emblem
+    ctx.fillStyle = accent;
+    ctx.beginPath();
+    ctx.roundRect(560, 40, 200, 80, 16);
+    ctx.fill();
+    ctx.fillStyle = '#0d0f17';
+    ctx.font = '11pt CardSans';
+    ctx.fillText('RANK', 580, 68);
+    ctx.font = '18pt CardSansBold';
+    ctx.fillText(fitText(player.rank, 160), 580, 100);
+    
+    // Stat tiles
+    const tiles = [
+        ['K/D RATIO', player.kdRatio],
+        ['WIN RATE', `${player.winRate}%`],
+        ['MATCHES', formatNumber(player.totalMatches)],
+        ['KILLS', formatNumber(player.totalKills)],
+        ['HEADSHOTS', formatNumber(player.headshots)],
+        ['DAMAGE', formatNumber(player.damage)]
+    ];
+    
+    tiles.forEach(([label, value], index) => {
+        const x = 40 + (index % 3) * 245;
+        const y = 150 + Math.floor(index / 3) * 115;
+        
+        ctx.fillStyle = '#252a3d';
+        ctx.beginPath();
+        ctx.roundRect(x, y, 225, 100, 12);
+        ctx.fill();
+        
+        ctx.fillStyle = '#9aa3b5';
+        ctx.font = '11pt CardSans';
+        ctx.fillText(label, x + 20, y + 32);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '28pt CardSansBold';
+        ctx.fillText(String(value), x + 20, y + 78);
+    });
+    
+    // Guild and footer
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '15pt CardSans';
+    ctx.fillText(fitText(`Guild: ${player.clanInfo ? player.clanInfo.clanName : 'None'}`, 480), 40, 410);
+    ctx.fillStyle = accent;
+    ctx.font = '12pt CardSans';
+    ctx.fillText('Free Fire Stats Bot', 600, 410);
+    
+    // Encode to an in-memory PNG
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    await PImage.encodePNGToStream(image, stream);
+    
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    renderPlayerCard
+};
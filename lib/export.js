@@ -0,0 +1,140 @@
+// Files sent by /export - player and guild data as CSV for spreadsheets or as JSON
+// Values are plain numbers and ISO dates, not localized, so spreadsheets can sort and sum them
+
+const { gameModes, ratio, modeKdRatio, modeWinRate } = require('./players');
+
+// Formats /export can produce
+const exportFormats = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    json: { extension: 'json', contentType: 'application/json' }
+};
+
+// Function to build the export of a player
+// player is the object of fetchPlayerStats, snapshots the stored history, oldest first
+// Returns { filename, contentType, content }
+function playerExport(player, snapshots, format = 'csv', exportedAt = Date.now()) {
+    const filename = `ff-${player.uid}-${player.region}`;
+    
+    if (format === 'json') {
+        return exportFile(filename, format, {
+            exportedAt: new Date(exportedAt).toISOString(),
+            player: player,
+            history: snapshots
+        });
+    }
+    
+    const playerRows = [
+        ['uid', 'nickname', 'region', 'level', 'likes', 'rank', 'rankingPoints', 'maxRank', 'csRank', 'csRankingPoints',
+            'csMaxRank', 'badges', 'guildId', 'guildName', 'matches', 'wins', 'winRate', 'kills', 'kdRatio', 'headshots',
+            'damage', 'lastLogin', 'source'],
+        [player.uid, player.nickname, player.region, player.level, player.likes, player.rank, player.rankingPoints,
+            player.maxRank, player.csRank, player.csRankingPoints, player.csMaxRank, player.badgeCount,
+            player.clanInfo?.clanId, player.clanInfo?.clanName, player.totalMatches, player.totalWins,
+            round(player.winRate, 1), player.totalKills, round(player.kdRatio, 2), player.headshots, player.damage,
+            isoDate(player.lastLoginAt), player.source]
+    ];
+    
+    // Modes the source did not report are left out
+    const modeRows = [
+        ['mode', 'matches', 'wins', 'winRate', 'kills', 'deaths', 'kdRatio', 'headshots', 'headshotRate', 'damage',
+            'damagePerMatch', 'top10', 'survivalTime'],
+        ...gameModes.filter((mode) => player[mode.field]).map((mode) => {
+            const stats = player[mode.field];
+            const details = stats.detailedStats || {};
+            return [mode.key, stats.gamesPlayed || 0, stats.wins || 0, round(modeWinRate(stats), 1), stats.kills || 0,
+                details.deaths, round(modeKdRatio(stats), 2), details.headshots,
+                round(ratio(details.headshots, stats.kills) * 100, 1), details.damage,
+                Math.round(ratio(details.damage, stats.gamesPlayed)), details.topNTimes, details.survivalTime];
+        })
+    ];
+    
+    const historyRows = [
+        ['date', 'nickname', 'level', 'rank', 'rankingPoints', 'kdRatio', 'winRate', 'kills', 'matches', 'wins', 'guild'],
+        ...snapshots.map((snapshot) => [isoDate(snapshot.timestamp), snapshot.nickname, snapshot.level, snapshot.rank,
+            snapshot.rankingPoints, round(snapshot.kdRatio, 2), round(snapshot.winRate, 1), snapshot.totalKills,
+            snapshot.totalMatches, snapshot.totalWins, snapshot.guild])
+    ];
+    
+    return exportFile(filename, format, csvSections({ Player: playerRows, Modes: modeRows, History: historyRows }));
+}
+
+// Function to build the export of a guild
+// roster is the result of resolveGuildRoster, or null to list the member IDs only
+function guildExport(guild, roster, region, format = 'csv', exportedAt = Date.now()) {
+    const filename = `ff-guild-${guild.clanId}-${region}`;
+    
+    if (format === 'json') {
+        return exportFile(filename, format, {
+            exportedAt: new Date(exportedAt).toISOString(),
+            region: region,
+            guild: guild,
+            members: roster
+        });
+    }
+    
+    const guildRows = [
+        ['guildId', 'name', 'region', 'level', 'members', 'capacity', 'captainId', 'created', 'slogan'],
+        [guild.clanId, guild.clanName, region, guild.clanLevel, guild.memberNum, guild.capacity, guild.captainId,
+            isoDate(guild.createAt ? Number(guild.createAt) * 1000 : null), guild.slogan]
+    ];
+    const memberRows = [
+        ['uid', 'role', 'nickname'],
+        ...(roster || []).map((member) => [member.uid, member.role, member.nickname])
+    ];
+    
+    return exportFile(filename, format, csvSections({ Guild: guildRows, Members: memberRows }));
+}
+
+// Utility function for the file of an export
+function exportFile(name, format, data) {
+    const { extension, contentType } = exportFormats[format];
+    return {
+        filename: `${name}.${extension}`,
+        contentType: contentType,
+        content: format === 'json' ? JSON.stringify(data, null, 2) : data
+    };
+}
+
+// Utility function to join several tables into one CSV, each under a title row
+function csvSections(sections) {
+    return Object.entries(sections)
+        .map(([title, rows]) => toCsv([[title], ...rows]))
+        .join('\r\n');
+}
+
+// Utility function to turn rows of values into CSV lines (RFC 4180)
+function toCsv(rows) {
+    return rows.map((row) => row.map(csvField).join(',') + '\r\n').join('');
+}
+
+// Utility function to quote one CSV value
+// Nicknames starting with = + - or @ would run as formulas once pasted into a spreadsheet
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Utility function to round a ratio for a spreadsheet cell
+function round(value, digits) {
+    return typeof value === 'number' ? Number(value.toFixed(digits)) : value;
+}
+
+// Utility function for a timestamp in milliseconds as an ISO date, empty when unknown
+function isoDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+module.exports = {
+    exportFormats,
+    playerExport,
+    guildExport,
+    toCsv
+};
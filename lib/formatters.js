@@ -0,0 +1,613 @@
+// Formatters turning players and guilds into the bot's message markup, plus the inline keyboards
+// Every function takes the language of the reply last and only builds text, nothing is sent
+
+const { DEFAULT_LANGUAGE, locales, t, regionName, formatAge, formatDuration, formatNumber, formatDecimal, formatDate } = require('./i18n');
+const { escapeMarkup } = require('./markup');
+const { gameModes, rankProgress, ratio, modeKdRatio, modeWinRate } = require('./players');
+
+// Function to format player stats message
+// view picks the tab: 'overview', 'guild' or the key of one of the gameModes
+function formatPlayerStats(player, view = 'overview', lang = DEFAULT_LANGUAGE) {
+    const label = (key) => t(lang, `label.${key}`);
+    const mode = gameModes.find((gameMode) => gameMode.key === view);
+    let message = `🎮 **${escapeMarkup(player.nickname)}**\n\n`;
+    
+    if (mode) {
+        message += formatModeStats(`${mode.icon} ${t(lang, `section.${mode.key}`)}`, player[mode.field], lang);
+    } else if (view === 'guild') {
+        // Clan Info
+        if (player.clanInfo) {
+            message += `**🏰 ${t(lang, 'section.guildInfo')}**\n`;
+            message += `• ${label('name')}: **${escapeMarkup(player.clanInfo.clanName)}**\n`;
+            if (player.clanInfo.clanId) {
+                message += `• ${label('guildId')}: \`${player.clanInfo.clanId}\`\n`;
+            }
+            message += `• ${label('level')}: **${player.clanInfo.clanLevel}**\n`;
+            message += `• ${label('members')}: **${player.clanInfo.memberNum}**\n\n`;
+        } else {
+            message += `🏰 ${t(lang, 'stats.noGuild')}\n\n`;
+        }
+    } else {
+        // Basic Info
+        message += `**📋 ${t(lang, 'section.basicInfo')}**\n`;
+        message += `• ${label('uid')}: \`${player.uid}\`\n`;
+        message += `• ${label('level')}: **${player.level}**\n`;
+        message += `• ${label('region')}: **${player.region}**\n`;
+        message += `• ${label('likes')}: **${formatNumber(player.likes, lang)}**\n`;
+        message += `• ${label('lastOnline')}: ${player.lastLoginAt ? formatDate(player.lastLoginAt, lang, { dateStyle: 'medium', timeStyle: 'short' }) : label('unknown')}\n\n`;
+        
+        // Rank Info
+        message += `**🏆 ${t(lang, 'section.ranking')}**\n`;
+        message += `• ${label('currentRank')}: **${escapeMarkup(player.rank)}**${formatRankProgress(player.rank, player.rankingPoints, 'br', lang)}\n`;
+        message += `• ${label('rankingPoints')}: **${formatNumber(player.rankingPoints, lang)}**\n`;
+        message += `• ${label('maxRank')}: **${escapeMarkup(player.maxRank)}**\n`;
+        if (player.csRank) {
+            message += `• ${label('csRank')}: **${escapeMarkup(player.csRank)}**${formatRankProgress(player.csRank, player.csRankingPoints, 'cs', lang)}\n`;
+            message += `• ${label('csRankingPoints')}: **${formatNumber(player.csRankingPoints, lang)}**\n`;
+            message += `• ${label('csMaxRank')}: **${escapeMarkup(player.csMaxRank)}**\n`;
+        }
+        message += `• ${label('badges')}: **${player.badgeCount}**\n\n`;
+        
+        // Combat Stats
+        message += `**⚔️ ${t(lang, 'section.combat')}**\n`;
+        message += `*${t(lang, 'stats.careerTotals')}*\n`;
+        message += `• ${label('kdRatio')}: **${formatDecimal(player.kdRatio, 2, lang)}**\n`;
+        message += `• ${label('totalMatches')}: **${formatNumber(player.totalMatches, lang)}**\n`;
+        message += `• ${label('totalWins')}: **${formatNumber(player.totalWins, lang)}**\n`;
+        message += `• ${label('winRate')}: **${formatDecimal(player.winRate, 1, lang)}%**\n`;
+        message += `• ${label('totalKills')}: **${formatNumber(player.totalKills, lang)}**\n`;
+        message += `• ${label('headshots')}: **${formatNumber(player.headshots, lang)}**\n`;
+        message += `• ${label('damage')}: **${formatNumber(player.damage, lang)}**\n\n`;
+    }
+    
+    if (player.stale) {
+        message += `⚠️ *${t(lang, 'common.staleNotice', { age: formatAge(player.cachedAt, lang) })}*\n`;
+    }
+    message += `📊 *${t(lang, 'stats.source', { source: player.source || t(lang, 'stats.defaultSource') })}*\n`;
+    message += `⚡ *${t(lang, 'stats.poweredBy')}*`;
+    
+    return message;
+}
+
+// Function to format the distance to the next tier with a progress bar,
+// e.g. " — 340 pts to Grandmaster" and "`▰▰▰▰▰▰▱▱▱▱` 58%" on the next line
+function formatRankProgress(rankName, points, mode, lang = DEFAULT_LANGUAGE) {
+    // Without ranking points the distance to the next tier is unknown
+    const progress = points > 0 ? rankProgress(rankName, points, mode) : null;
+    if (!progress) {
+        return '';
+    }
+    if (!progress.next) {
+        return ` — ${t(lang, 'rank.topTier')}`;
+    }
+    
+    const filled = Math.round(progress.fraction * 10);
+    const bar = '▰'.repeat(filled) + '▱'.repeat(10 - filled);
+    return ` — ${t(lang, 'rank.toNext', { points: formatDecimal(progress.pointsToNext, 0, lang), rank: progress.next.name })}\n` +
+           `   \`${bar}\` ${formatDecimal(progress.fraction * 100, 0, lang)}%`;
+}
+
+// Function to format the stats of a single game mode
+function formatModeStats(title, stats, lang = DEFAULT_LANGUAGE) {
+    const label = (key) => t(lang, `label.${key}`);
+    
+    if (!stats) {
+        return `**${title}**\n${t(lang, 'stats.modeUnavailable')}\n\n`;
+    }
+    if (!stats.gamesPlayed) {
+        return `**${title}**\n${t(lang, 'stats.noModeMatches')}\n\n`;
+    }
+    
+    const details = stats.detailedStats || {};
+    let message = `**${title}**\n`;
+    message += `• ${label('matches')}: **${formatNumber(stats.gamesPlayed, lang)}**\n`;
+    message += `• ${label('wins')}: **${formatNumber(stats.wins || 0, lang)}**\n`;
+    message += `• ${label('winRate')}: **${formatDecimal(modeWinRate(stats), 1, lang)}%**\n`;
+    message += `• ${label('kills')}: **${formatNumber(stats.kills || 0, lang)}**\n`;
+    message += `• ${label('kdRatio')}: **${formatDecimal(modeKdRatio(stats), 2, lang)}**\n`;
+    message += `• ${label('headshots')}: **${formatNumber(details.headshots || 0, lang)}**\n`;
+    message += `• ${label('headshotRate')}: **${formatDecimal(ratio(details.headshots, stats.kills) * 100, 1, lang)}%**\n`;
+    message += `• ${label('damage')}: **${formatNumber(details.damage || 0, lang)}**\n`;
+    message += `• ${label('damagePerMatch')}: **${formatNumber(Math.round(ratio(details.damage, stats.gamesPlayed)), lang)}**\n`;
+    
+    // Not every source or mode reports these - Clash Squad has no top 10
+    if (typeof details.topNTimes === 'number') {
+        message += `• ${label('top10Rate')}: **${formatDecimal(ratio(details.topNTimes, stats.gamesPlayed) * 100, 1, lang)}%**\n`;
+    }
+    if (typeof details.survivalTime === 'number') {
+        message += `• ${label('survivalTime')}: **${formatDuration(ratio(details.survivalTime, stats.gamesPlayed), lang)}**\n`;
+    }
+    
+    return message + '\n';
+}
+
+// Inline keyboard with the stats tabs under a player message
+// Callback data stays well under Telegram's 64 byte limit: "p:<view>:<uid>:<region>"
+// Modes the source did not report get no tab, extra modes not fetched yet keep theirs
+function playerStatsKeyboard(player, view = 'overview', lang = DEFAULT_LANGUAGE) {
+    const extraModes = player.extraModes || [];
+    const tabs = [
+        ['overview', `📋 ${t(lang, 'button.overview')}`],
+        ...gameModes
+            .filter((mode) => player[mode.field] || extraModes.includes(mode.field))
+            .map((mode) => [mode.key, `${mode.icon} ${t(lang, `button.${mode.key}`)}`]),
+        ['guild', `🏰 ${t(lang, 'button.guild')}`]
+    ];
+    
+    const buttons = tabs.map(([tab, label]) => ({
+        text: tab === view ? `• ${label} •` : label,
+        callback_data: `p:${tab}:${player.uid}:${player.region}`
+    }));
+    const actions = [{ text: `🔄 ${t(lang, 'button.refresh')}`, callback_data: `r:${view}:${player.uid}:${player.region}` }];
+    
+    if (player.clanInfo && player.clanInfo.clanId) {
+        actions.push({ text: `🏰 ${t(lang, 'button.viewGuild')}`, callback_data: `g:${player.clanInfo.clanId}:${player.region}` });
+    }
+    
+    // Four tabs per row keep the labels readable on phones
+    const keyboard = [];
+    for (let i = 0; i < buttons.length; i += 4) {
+        keyboard.push(buttons.slice(i, i + 4));
+    }
+    keyboard.push(actions);
+    
+    return { inline_keyboard: keyboard };
+}
+
+// Inline keyboard under a guild message
+function guildInfoKeyboard(guild, region, lang = DEFAULT_LANGUAGE) {
+    return {
+        inline_keyboard: [[
+            { text: `🔄 ${t(lang, 'button.refresh')}`, callback_data: `gr:${guild.clanId}:${guild.region || region}` }
+        ]]
+    };
+}
+
+// Function to format the /settings overview of a chat
+// choices holds what the chat can pick from: { regions: config.regions, commands: [...] }
+function formatChatSettings(settings, choices, lang = DEFAULT_LANGUAGE) {
+    const disabled = settings.disabledCommands.map((command) => `/${command}`).join(', ');
+    
+    let message = `⚙️ **${t(lang, 'settings.title')}**\n\n`;
+    message += `• ${t(lang, 'settings.region')}: **${settings.region}** (${regionName(settings.region, choices.regions, lang)})\n`;
+    message += `• ${t(lang, 'settings.replies')}: **${t(lang, settings.compact ? 'settings.compact' : 'settings.full')}**\n`;
+    message += `• ${t(lang, 'settings.autoDelete')}: **${autoDeleteLabel(settings.autoDeleteMinutes, lang)}**\n`;
+    message += `• ${t(lang, 'settings.disabledCommands')}: **${disabled || t(lang, 'label.none')}**\n\n`;
+    message += `*${t(lang, 'settings.hint')}*`;
+    
+    return message;
+}
+
+function autoDeleteLabel(minutes, lang = DEFAULT_LANGUAGE) {
+    return minutes > 0 ? t(lang, 'settings.afterMinutes', { minutes }) : t(lang, 'settings.off');
+}
+
+// Inline keyboard of /settings - "set:<setting>[:<value>]" callbacks
+// page is 'main', 'region' (region picker) or 'commands' (command switches), choices as in formatChatSettings
+function settingsKeyboard(settings, page, choices, lang = DEFAULT_LANGUAGE) {
+    const rows = (buttons, size) => {
+        const keyboard = [];
+        for (let i = 0; i < buttons.length; i += size) {
+            keyboard.push(buttons.slice(i, i + size));
+        }
+        return keyboard;
+    };
+    const back = [{ text: `⬅️ ${t(lang, 'button.back')}`, callback_data: 'set:page:main' }];
+    
+    if (page === 'region') {
+        const buttons = choices.regions.map(({ code }) => ({
+            text: code === settings.region ? `• ${code} •` : code,
+            callback_data: `set:region:${code}`
+        }));
+        return { inline_keyboard: [...rows(buttons, 4), back] };
+    }
+    
+    if (page === 'commands') {
+        const buttons = choices.commands.map((command) => ({
+            text: `${settings.disabledCommands.includes(command) ? '🚫' : '✅'} /${command}`,
+            callback_data: `set:command:${command}`
+        }));
+        return { inline_keyboard: [...rows(buttons, 3), back] };
+    }
+    
+    return {
+        inline_keyboard: [
+            [
+                { text: `🌍 ${t(lang, 'settings.region')}: ${settings.region}`, callback_data: 'set:page:region' },
+                { text: `📝 ${t(lang, settings.compact ? 'settings.compact' : 'settings.full')}`, callback_data: 'set:compact' }
+            ],
+            [
+                { text: `🗑️ ${t(lang, 'settings.autoDelete')}: ${autoDeleteLabel(settings.autoDeleteMinutes, lang)}`, callback_data: 'set:autodelete' },
+                { text: `🧩 ${t(lang, 'settings.commands')}`, callback_data: 'set:page:commands' }
+            ]
+        ]
+    };
+}
+
+// Inline keyboard of /language - every language is named in its own script
+function languageKeyboard(current) {
+    const buttons = Object.keys(locales).map((code) => ({
+        text: code === current ? `• ${t(code, 'meta.name')} •` : t(code, 'meta.name'),
+        callback_data: `lang:${code}`
+    }));
+    
+    return { inline_keyboard: [buttons.slice(0, 2), buttons.slice(2)].filter((row) => row.length > 0) };
+}
+
+// Function to format a compact player card for inline mode
+function formatPlayerCard(player, lang = DEFAULT_LANGUAGE) {
+    let message = `🎮 **${escapeMarkup(player.nickname)}** (${t(lang, 'label.levelShort')} ${player.level})\n`;
+    message += `🏆 ${escapeMarkup(player.rank)} • ${formatNumber(player.rankingPoints, lang)} ${t(lang, 'label.pointsShort')}\n`;
+    message += `⚔️ ${t(lang, 'label.kd')} **${formatDecimal(player.kdRatio, 2, lang)}** • ${t(lang, 'label.winRate')} **${formatDecimal(player.winRate, 1, lang)}%**\n`;
+    message += `🆔 \`${player.uid}\` • ${player.region}`;
+    
+    return message;
+}
+
+// Function to format a compact guild card for inline mode
+function formatGuildCard(guild, region, lang = DEFAULT_LANGUAGE) {
+    let message = `🏰 **${escapeMarkup(guild.clanName)}** (${t(lang, 'label.levelShort')} ${guild.clanLevel})\n`;
+    message += `👥 ${t(lang, 'guild.memberCount', { count: guild.memberNum, capacity: guild.capacity })}\n`;
+    message += `🆔 \`${guild.clanId}\` • ${guild.region || region}`;
+    
+    return message;
+}
+
+// Function to format the progress of a player over time
+function formatPlayerHistory(snapshots, days, lang = DEFAULT_LANGUAGE) {
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    const label = (key) => t(lang, `label.${key}`);
+    const day = (timestamp) => formatDate(timestamp, lang);
+    const change = (before, after, digits = 0, suffix = '') => {
+        const diff = after - before;
+        if (diff === 0) {
+            return '';
+        }
+        return ` (${diff > 0 ? '+' : ''}${formatDecimal(diff, digits, lang)}${suffix})`;
+    };
+    
+    let message = `📈 **${escapeMarkup(last.nickname)}** - ${t(lang, 'history.lastDays', { days })}\n\n`;
+    message += `• ${label('uid')}: \`${last.uid}\`\n`;
+    message += `• ${label('region')}: **${last.region}**\n`;
+    message += `• ${label('snapshots')}: **${snapshots.length}** (${day(first.timestamp)} - ${day(last.timestamp)})\n\n`;
+    
+    message += `**📊 ${t(lang, 'section.changes')}**\n`;
+    message += `• ${label('level')}: **${first.level} → ${last.level}**${change(first.level, last.level)}\n`;
+    message += `• ${label('rank')}: **${first.rank === last.rank ? escapeMarkup(last.rank) : `${escapeMarkup(first.rank)} → ${escapeMarkup(last.rank)}`}**\n`;
+    message += `• ${label('rankingPoints')}: **${formatNumber(first.rankingPoints, lang)} → ${formatNumber(last.rankingPoints, lang)}**${change(first.rankingPoints, last.rankingPoints)}\n`;
+    message += `• ${label('kdRatio')}: **${formatDecimal(first.kdRatio, 2, lang)} → ${formatDecimal(last.kdRatio, 2, lang)}**${change(first.kdRatio, last.kdRatio, 2)}\n`;
+    message += `• ${label('winRate')}: **${formatDecimal(first.winRate, 1, lang)}% → ${formatDecimal(last.winRate, 1, lang)}%**${change(first.winRate, last.winRate, 1, '%')}\n`;
+    message += `• ${label('totalKills')}: **${formatNumber(first.totalKills, lang)} → ${formatNumber(last.totalKills, lang)}**${change(first.totalKills, last.totalKills)}\n\n`;
+    
+    // Latest snapshot of each day, most recent days only
+    const daily = new Map();
+    snapshots.forEach((snapshot) => daily.set(day(snapshot.timestamp), snapshot));
+    
+    message += `**🗓️ ${t(lang, 'section.timeline')}**\n`;
+    [...daily.entries()].slice(-7).forEach(([date, snapshot]) => {
+        message += `• ${date}: ${label('levelShort')} ${snapshot.level}, ${escapeMarkup(snapshot.rank)}, ${formatNumber(snapshot.rankingPoints, lang)} ${label('pointsShort')}, ${label('kd')} ${formatDecimal(snapshot.kdRatio, 2, lang)}\n`;
+    });
+    
+    message += `\n📊 *${t(lang, 'history.footer')}*`;
+    
+    return message;
+}
+
+// Rows of the /compare table - value() gives the number the leader is picked by
+// Labels stay short and in English so the monospace columns line up in every language
+const comparisonRows = [
+    { label: 'Level', value: (p) => p.level, format: (v) => String(v) },
+    { label: 'Rank Pts', value: (p) => p.rankingPoints, format: (v) => String(v) },
+    { label: 'K/D', value: (p) => parseFloat(p.kdRatio) || 0, format: (v) => v.toFixed(2) },
+    { label: 'Win %', value: (p) => parseFloat(p.winRate) || 0, format: (v) => v.toFixed(1) },
+    { label: 'HS %', value: (p) => ratio(p.headshots, p.totalKills) * 100, format: (v) => v.toFixed(1) },
+    { label: 'Dmg/Match', value: (p) => ratio(p.damage, p.totalMatches), format: (v) => v.toFixed(0) },
+    { label: 'Solo K/D', value: (p) => modeKdRatio(p.soloStats), format: (v) => v.toFixed(2) },
+    { label: 'Solo Win%', value: (p) => modeWinRate(p.soloStats), format: (v) => v.toFixed(1) },
+    { label: 'Squad K/D', value: (p) => modeKdRatio(p.quadStats), format: (v) => v.toFixed(2) },
+    { label: 'Squad Win%', value: (p) => modeWinRate(p.quadStats), format: (v) => v.toFixed(1) }
+];
+
+// Function to format a side-by-side comparison of players
+function formatPlayerComparison(players, lang = DEFAULT_LANGUAGE) {
+    const labelWidth = 11;
+    const columnWidth = 9;
+    
+    let message = `⚔️ **${t(lang, 'compare.title')}**\n\n`;
+    players.forEach((player, index) => {
+        message += `**P${index + 1}** ${escapeMarkup(player.nickname)} - ${escapeMarkup(player.rank)} (\`${player.uid}\`)\n`;
+    });
+    
+    let table = 'Stat'.padEnd(labelWidth) + players.map((player, index) => `P${index + 1}`.padStart(columnWidth)).join('') + '\n';
+    
+    comparisonRows.forEach((row) => {
+        const values = players.map(row.value);
+        const best = Math.max(...values);
+        // Only mark a leader when somebody actually leads
+        const hasLeader = values.some((value) => value !== best);
+        
+        table += row.label.padEnd(labelWidth);
+        table += values.map((value) => {
+            const cell = row.format(value) + (hasLeader && value === best ? '*' : ' ');
+            return cell.padStart(columnWidth);
+        }).join('');
+        table += '\n';
+    });
+    
+    message += `\n\`\`\`\n${table}\`\`\`\n`;
+    message += `👑 \`*\` = ${t(lang, 'compare.legend')}\n`;
+    
+    return message;
+}
+
+// Metrics /leaderboard can rank by - labels are catalog keys
+const leaderboardMetrics = {
+    kd: { label: 'label.kdRatio', value: (p) => parseFloat(p.kdRatio) || 0, format: (p, lang) => formatDecimal(p.kdRatio, 2, lang) },
+    wins: { label: 'label.wins', value: (p) => p.totalWins, format: (p, lang) => formatNumber(p.totalWins, lang) },
+    kills: { label: 'label.kills', value: (p) => p.totalKills, format: (p, lang) => formatNumber(p.totalKills, lang) },
+    rank: { label: 'label.rankingPoints', value: (p) => p.rankingPoints, format: (p, lang) => `${formatNumber(p.rankingPoints, lang)} (${escapeMarkup(p.rank)})` },
+    level: { label: 'label.level', value: (p) => p.level, format: (p) => String(p.level) }
+};
+
+// Function to format a chat leaderboard
+function formatLeaderboard(metric, ranked, registeredCount, lang = DEFAULT_LANGUAGE) {
+    const medals = ['🥇', '🥈', '🥉'];
+    
+    let message = `🏆 **${t(lang, 'leaderboard.title', { metric: t(lang, metric.label) })}**\n\n`;
+    
+    ranked.forEach((entry, index) => {
+        const position = medals[index] || `**${index + 1}.**`;
+        message += `${position} ${escapeMarkup(entry.player.nickname)} (${escapeMarkup(entry.name)}) - **${metric.format(entry.player, lang)}**\n`;
+    });
+    
+    if (ranked.length < registeredCount) {
+        message += `\n⚠️ ${t(lang, 'leaderboard.failed', { count: registeredCount - ranked.length })}\n`;
+    }
+    
+    message += `\n💡 ${t(lang, 'leaderboard.others')}: ${Object.keys(leaderboardMetrics).map((name) => `/leaderboard ${name}`).join(', ')}`;
+    
+    return message;
+}
+
+// Function to format the players of a scrim and whether it is running
+function formatScrim(scrim, maxPlayers, lang = DEFAULT_LANGUAGE) {
+    let message = `🎯 **${t(lang, 'scrim.title', { name: escapeMarkup(scrim.name) })}**\n\n`;
+    message += scrim.startedAt
+        ? `🟢 ${t(lang, 'scrim.running', { age: formatAge(scrim.startedAt, lang) })}\n\n`
+        : `⏳ ${t(lang, 'scrim.waiting')}\n\n`;
+    
+    message += `**${t(lang, 'label.players')} (${scrim.players.length}/${maxPlayers})**\n`;
+    scrim.players.forEach((player, index) => {
+        message += `**${index + 1}.** ${escapeMarkup(player.nickname)} - \`${player.uid}\` ${player.region}\n`;
+    });
+    if (scrim.players.length === 0) {
+        message += `${t(lang, 'label.none')}\n`;
+    }
+    
+    message += `\n💡 ${t(lang, scrim.startedAt ? 'scrim.endHint' : 'scrim.startHint')}`;
+    return message;
+}
+
+// Function to format the result table of a finished scrim
+// results come from rankScrimResults, failedCount players could not be compared
+// Column heads stay short and in English so the monospace columns line up in every language
+function formatScrimResults(scrim, results, failedCount, lang = DEFAULT_LANGUAGE) {
+    const nameWidth = 14;
+    const medals = ['🥇', '🥈', '🥉'];
+    
+    let message = `🏁 **${t(lang, 'scrim.resultsTitle', { name: escapeMarkup(scrim.name) })}**\n\n`;
+    results.slice(0, medals.length).forEach((entry, index) => {
+        message += `${medals[index]} ${escapeMarkup(entry.nickname)} - **${formatNumber(entry.kills, lang)}** ${t(lang, 'label.kills')}\n`;
+    });
+    
+    let table = '#  ' + 'Player'.padEnd(nameWidth) + 'Kills'.padStart(6) + 'Wins'.padStart(5) + 'Games'.padStart(6) + 'K/G'.padStart(5) + '\n';
+    results.forEach((entry, index) => {
+        const name = entry.nickname.length > nameWidth - 1 ? `${entry.nickname.slice(0, nameWidth - 2)}~` : entry.nickname;
+        table += String(index + 1).padEnd(3) + escapeMarkup(name.padEnd(nameWidth));
+        table += String(entry.kills).padStart(6) + String(entry.wins).padStart(5) + String(entry.matches).padStart(6);
+        table += ratio(entry.kills, entry.matches).toFixed(1).padStart(5) + '\n';
+    });
+    message += `\n\`\`\`\n${table}\`\`\`\n`;
+    
+    if (failedCount > 0) {
+        message += `⚠️ ${t(lang, 'scrim.failed', { count: failedCount })}\n`;
+    }
+    if (results.length > 0 && results.every((entry) => entry.matches === 0)) {
+        message += `💡 ${t(lang, 'scrim.noMatches')}\n`;
+    }
+    
+    return message;
+}
+
+// Function to format a daily or weekly digest of a chat's players
+// highlights come from digestHighlights, playerCount players were looked at and
+// missingCount of them have no snapshot since the start of the period
+function formatDigest(frequency, highlights, since, playerCount, missingCount, lang = DEFAULT_LANGUAGE) {
+    const name = (change) => escapeMarkup(change.nickname);
+    const signed = (text, value) => `${value > 0 ? '+' : ''}${text}`;
+    
+    let message = `📰 **${t(lang, `digest.title.${frequency}`)}**\n`;
+    message += `${t(lang, 'digest.summary', { count: playerCount, date: formatDate(since, lang, { dateStyle: 'medium', timeStyle: 'short' }) })}\n\n`;
+    
+    const sections = [
+        ['📈', 'digest.pointGains', highlights.pointGains, (change) =>
+            `${formatDecimal(change.before.rankingPoints, 0, lang)} → ${formatDecimal(change.after.rankingPoints, 0, lang)} (**${signed(formatDecimal(change.points, 0, lang), change.points)}**)`],
+        ['⬆️', 'digest.levelUps', highlights.levelUps, (change) =>
+            `${t(lang, 'label.levelShort')} ${change.before.level} → **${change.after.level}**`],
+        ['⚔️', 'digest.kdMovers', highlights.kdMovers, (change) =>
+            `${formatDecimal(change.before.kdRatio, 2, lang)} → ${formatDecimal(change.after.kdRatio, 2, lang)} (**${signed(formatDecimal(change.kd, 2, lang), change.kd)}**)`],
+        ['🏰', 'digest.guildChanges', highlights.guildChanges, (change) =>
+            `${escapeMarkup(change.before.guild || t(lang, 'label.none'))} → **${escapeMarkup(change.after.guild || t(lang, 'label.none'))}**`]
+    ].filter(([, , changes]) => changes.length > 0);
+    
+    sections.forEach(([icon, title, changes, describe]) => {
+        message += `${icon} **${t(lang, title)}**\n`;
+        changes.forEach((change) => {
+            message += `• ${name(change)}: ${describe(change)}\n`;
+        });
+        message += '\n';
+    });
+    
+    if (sections.length === 0) {
+        message += `😴 ${t(lang, 'digest.quiet')}\n\n`;
+    }
+    if (missingCount > 0) {
+        message += `⚠️ ${t(lang, 'digest.missing', { count: missingCount })}\n`;
+    }
+    
+    return message.trim();
+}
+
+// Function to format guild information
+// roster is optional - when given, member UIDs are shown with nicknames
+function formatGuildInfo(guild, roster, lang = DEFAULT_LANGUAGE) {
+    const label = (key) => t(lang, `label.${key}`);
+    let message = `🏰 **${escapeMarkup(guild.clanName)}**\n\n`;
+    
+    message += `**📋 ${t(lang, 'section.guildInfo')}**\n`;
+    message += `• ${label('guildId')}: \`${guild.clanId}\`\n`;
+    message += `• ${label('level')}: **${guild.clanLevel}**\n`;
+    message += `• ${label('members')}: **${guild.memberNum}/${guild.capacity}**\n`;
+    message += `• ${label('region')}: **${guild.region}**\n`;
+    message += `• ${label('created')}: ${formatDate(parseInt(guild.createAt) * 1000, lang)}\n\n`;
+    
+    if (guild.slogan && guild.slogan !== 'Welcome!') {
+        message += `**💬 ${t(lang, 'section.slogan')}**\n${escapeMarkup(guild.slogan)}\n\n`;
+    }
+    
+    if (roster) {
+        const describe = (member) => member.nickname ? `${escapeMarkup(member.nickname)} (\`${member.uid}\`)` : `\`${member.uid}\``;
+        const captain = roster.find((member) => member.role === 'captain');
+        const deputies = roster.filter((member) => member.role === 'deputy');
+        const members = roster.filter((member) => member.role === 'member');
+        
+        message += `**🎖️ ${t(lang, 'section.leadership')}**\n`;
+        if (captain) {
+            message += `• 👑 ${label('captain')}: ${describe(captain)}\n`;
+        }
+        deputies.forEach((deputy) => {
+            message += `• ⭐ ${label('deputy')}: ${describe(deputy)}\n`;
+        });
+        
+        if (members.length > 0) {
+            message += `\n**👥 ${label('members')} (${members.length})**\n`;
+            members.forEach((member) => {
+                message += `• ${describe(member)}\n`;
+            });
+        }
+    } else {
+        message += `**🎖️ ${t(lang, 'section.leadership')}**\n`;
+        message += `• ${label('captainId')}: \`${guild.captainId}\`\n`;
+        if (guild.deputyCaptain) {
+            message += `• ${label('deputy')}: \`${guild.deputyCaptain}\`\n`;
+        }
+    }
+    
+    if (guild.stale) {
+        message += `\n⚠️ *${t(lang, 'common.staleNotice', { age: formatAge(guild.cachedAt, lang) })}*`;
+    }
+    message += `\n📊 *${t(lang, 'guild.footer')}*`;
+    
+    return message;
+}
+
+// Function to format aggregate stats of a guild's members
+// memberCount members were looked up, out of the listedCount the source listed
+function formatGuildStats(guild, players, memberCount, lang = DEFAULT_LANGUAGE, listedCount = memberCount) {
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const label = (key) => t(lang, `label.${key}`);
+    const kdRatios = players.map((player) => parseFloat(player.kdRatio) || 0);
+    const winRates = players.map((player) => parseFloat(player.winRate) || 0);
+    
+    let message = `🏰 **${escapeMarkup(guild.clanName)}** - ${t(lang, 'guildStats.title')}\n\n`;
+    
+    message += `**📊 ${t(lang, 'section.averages')}** (${t(lang, 'guildStats.loaded', { loaded: players.length, total: memberCount })})\n`;
+    message += `• ${label('kdRatio')}: **${formatDecimal(average(kdRatios), 2, lang)}**\n`;
+    message += `• ${label('winRate')}: **${formatDecimal(average(winRates), 1, lang)}%**\n`;
+    message += `• ${label('level')}: **${formatDecimal(average(players.map((player) => player.level)), 0, lang)}**\n`;
+    message += `• ${label('rankingPoints')}: **${formatNumber(Math.round(average(players.map((player) => player.rankingPoints))), lang)}**\n\n`;
+    
+    // How many members sit in each rank
+    const rankCounts = new Map();
+    players.forEach((player) => rankCounts.set(player.rank, (rankCounts.get(player.rank) || 0) + 1));
+    
+    message += `**🏆 ${t(lang, 'section.ranks')}**\n`;
+    [...rankCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([rank, count]) => {
+            message += `• ${escapeMarkup(rank)}: **${count}**\n`;
+        });
+        
+    message += `\n**🥇 ${t(lang, 'section.topByKd')}**\n`;
+    [...players]
+        .sort((a, b) => (parseFloat(b.kdRatio) || 0) - (parseFloat(a.kdRatio) || 0))
+        .slice(0, 5)
+        .forEach((player, index) => {
+            message += `**${index + 1}.** ${escapeMarkup(player.nickname)} - ${label('kd')} **${formatDecimal(player.kdRatio, 2, lang)}**, ${label('winRate')} **${formatDecimal(player.winRate, 1, lang)}%**, ${escapeMarkup(player.rank)}\n`;
+        });
+        
+    if (players.length < memberCount) {
+        message += `\n⚠️ ${t(lang, 'guildStats.failed', { count: memberCount - players.length })}`;
+    }
+    
+    if (memberCount < listedCount) {
+        message += `\nℹ️ ${t(lang, 'guildStats.capped', { count: memberCount })}`;
+    }
+    if (listedCount < guild.memberNum) {
+        message += `\nℹ️ ${t(lang, 'guildStats.partial', { listed: listedCount, total: guild.memberNum })}`;
+    }
+    
+    return message;
+}
+
+// Describe what changed between two watch states, empty when nothing notable did
+// Ranking points only count once they moved by at least pointsThreshold
+function watchChanges(before, after, pointsThreshold, lang = DEFAULT_LANGUAGE) {
+    const changes = [];
+    const label = (key) => t(lang, `label.${key}`);
+    
+    if (before.rank !== after.rank) {
+        changes.push(`• ${label('rank')}: **${escapeMarkup(before.rank)} → ${escapeMarkup(after.rank)}**`);
+    }
+    if (before.maxRank !== after.maxRank) {
+        changes.push(`• ${label('maxRank')}: **${escapeMarkup(before.maxRank)} → ${escapeMarkup(after.maxRank)}**`);
+    }
+    if (before.level !== after.level) {
+        changes.push(`• ${label('level')}: **${before.level} → ${after.level}**`);
+    }
+    if (before.guild !== after.guild) {
+        changes.push(`• ${label('guild')}: **${before.guild ? escapeMarkup(before.guild) : label('none')} → ${after.guild ? escapeMarkup(after.guild) : label('none')}**`);
+    }
+    
+    const pointsDiff = after.rankingPoints - before.rankingPoints;
+    if (Math.abs(pointsDiff) >= pointsThreshold) {
+        changes.push(`• ${label('rankingPoints')}: **${formatNumber(before.rankingPoints, lang)} → ${formatNumber(after.rankingPoints, lang)}** (${pointsDiff > 0 ? '+' : ''}${formatNumber(pointsDiff, lang)})`);
+    }
+    
+    return changes;
+}
+
+module.exports = {
+    formatPlayerStats,
+    formatRankProgress,
+    formatModeStats,
+    playerStatsKeyboard,
+    guildInfoKeyboard,
+    formatChatSettings,
+    autoDeleteLabel,
+    settingsKeyboard,
+    languageKeyboard,
+    formatPlayerCard,
+    formatGuildCard,
+    formatPlayerHistory,
+    formatPlayerComparison,
+    leaderboardMetrics,
+    formatLeaderboard,
+    formatScrim,
+    formatScrimResults,
+    formatDigest,
+    formatGuildInfo,
+    formatGuildStats,
+    watchChanges
+};
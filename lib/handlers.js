@@ -0,0 +1,2210 @@
+// Telegram side of the bot - command, button and inline query handlers and the
+// per-chat state they keep (languages, watchlists, registrations, settings)
+
+const { DEFAULT_LANGUAGE, locales, t, catalogOr, regionName, invalidFormatMessage, formatAge, formatDecimal, formatDate } = require('./i18n');
+const { renderMarkup, escapeMarkup } = require('./markup');
+const { gameModes, modeAliases, watchState, scrimState, rankScrimResults, digestHighlights, guildMemberIds, mapWithConcurrency } = require('./players');
+const { GUILD_FETCH_CONCURRENCY, GUILD_MEMBER_LIMIT } = require('./stats');
+const { renderPlayerCard } = require('./card');
+const { nextTimeOfDay } = require('./jobs');
+const { SNAPSHOT_RETENTION_DAYS, SNAPSHOT_UNCHANGED_INTERVAL } = require('./storage');
+const { playerExport, guildExport } = require('./export');
+const {
+    formatPlayerStats, playerStatsKeyboard, guildInfoKeyboard, formatChatSettings, settingsKeyboard, languageKeyboard,
+    formatPlayerCard, formatGuildCard, formatPlayerHistory, formatPlayerComparison, leaderboardMetrics, formatLeaderboard,
+    formatGuildInfo, formatGuildStats, formatScrim, formatScrimResults, formatDigest, watchChanges
+} = require('./formatters');
+
+// Watched players are checked this often, and a chat can watch at most this many
+const WATCH_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const MAX_WATCHES_PER_CHAT = 20;
+
+// Players a scrim can track - a full custom room
+const MAX_SCRIM_PLAYERS = 50;
+
+// How far back the first digest of a chat looks - later digests cover the time since the previous one
+const DIGEST_PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// A digest Telegram did not take is tried this many times in all, waiting 5, 10, 20... minutes in between
+const DIGEST_MAX_ATTEMPTS = 4;
+const DIGEST_RETRY_DELAY = 5 * 60 * 1000;
+
+// Weekdays /digest weekly accepts, in the order of Date.getDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Auto-delete delays a chat can pick in /settings
+const AUTO_DELETE_OPTIONS = [0, 1, 5, 15, 60]; // minutes, 0 = keep replies
+
+// Token bucket limits per Telegram user and per chat
+const RATE_LIMITS = {
+    user: { capacity: 5, refillPerSecond: 1 / 6 },   // bursts of 5, then 10 per minute
+    chat: { capacity: 20, refillPerSecond: 1 / 3 }   // bursts of 20, then 20 per minute
+};
+
+// Commands the bot answers - anything else is counted as "unknown" in the metrics
+const botCommands = [
+    'start', 'help', 'regions', 'stats', 'search', 'guild', 'guildstats', 'history', 'refresh',
+    'compare', 'watch', 'unwatch', 'card', 'export', 'register', 'unregister', 'me', 'leaderboard', 'scrim', 'language', 'settings', 'digest', 'status'
+];
+
+// Commands a chat can switch off in /settings - the others keep the bot usable and configurable
+const toggleableCommands = botCommands.filter((command) => !['start', 'help', 'language', 'settings', 'digest', 'status'].includes(command));
+
+// The message each command answers, in the order they are matched
+const commandPatterns = {
+    start: /\/start/,
+    help: /\/help/,
+    regions: /\/regions/,
+    language: /\/language(?:\s+([A-Za-z]{2}))?/,
+    settings: /\/settings/,
+    digest: /\/digest(?:\s+(\w+))?(?:\s+(\d{1,2}):(\d{2}))?(?:\s+([A-Za-z]{3}))?/,
+    stats: /\/stats(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?(?:\s+([A-Za-z]+))?/,
+    search: /\/search(?:\s+(.+))?/,
+    guild: /\/guild\b(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/,
+    guildstats: /\/guildstats(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/,
+    history: /\/history(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?(?:\s+(\d+))?/,
+    compare: /\/compare((?:\s+\d+)*)(?:\s+([A-Z]{2,3}))?/,
+    watch: /\/watch(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/,
+    unwatch: /\/unwatch(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/,
+    card: /\/card(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/,
+    export: /\/export(?:\s+(guild:)?(\d+))?(?:\s+([A-Z]{2,3}))?(?:\s+(csv|json))?/,
+    register: /\/register(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/,
+    unregister: /\/unregister/,
+    me: /\/me\b/,
+    leaderboard: /\/leaderboard(?:\s+(\w+))?/,
+    scrim: /\/scrim(?:\s+(\w+))?(?:\s+(.+))?/,
+    refresh: /\/refresh(?:\s+(guild))?(?:\s+(\d+))?(?:\s+([A-Z]{2,3}))?/,
+    status: /\/status/
+};
+
+// Function to create the handlers of one bot
+// bot is the Telegram client, stats the client of the stats sources (see stats.js)
+function createHandlers({ bot, config, stats, storage, metrics, scheduler, healthReport, startedAt }) {
+    const { fetchPlayerStats, withExtraModes, fetchGuildInfo, searchPlayerByNickname, resolveGuildRoster } = stats;
+    const { loadJsonFile, saveJsonFile, loadPlayerSnapshots } = storage;
+    
+    // Supported region codes, and the one used when a command names none
+    const validRegions = config.regions.map((region) => region.code);
+    const DEFAULT_REGION = config.defaultRegion;
+    
+    // Region codes grouped for /regions, in config order
+    const regionGroups = {};
+    config.regions.forEach((region) => {
+        regionGroups[region.group] = regionGroups[region.group] || [];
+        regionGroups[region.group].push(region.code);
+    });
+    
+    // Languages picked with /language: { telegramUserId: 'pt' }
+    const languagePreferences = loadJsonFile('languages.json', {});
+    
+    // Watched players per chat: { chatId: [{ uid, region, nickname, last }] }
+    const watchlist = loadJsonFile('watchlist.json', {});
+    const WATCH_POINTS_THRESHOLD = config.watch.pointsThreshold;
+    
+    // Game accounts linked by Telegram users: { chatId: { telegramUserId: { uid, region, name } } }
+    const registrations = loadJsonFile('registrations.json', {});
+    
+    // Settings changed with /settings: { chatId: { region, disabledCommands, compact, autoDeleteMinutes } }
+    const chatSettings = loadJsonFile('chat-settings.json', {});
+    const settingsChoices = { regions: config.regions, commands: toggleableCommands };
+    
+    // Bot replies waiting for auto-delete: [{ chatId, messageId, deleteAt }]
+    const pendingDeletes = loadJsonFile('pending-deletes.json', []);
+    
+    // Scrim of each chat: { chatId: { name, startedAt, players: [{ uid, region, nickname, start }] } }
+    // start holds the scrimState of a player once the scrim has started
+    const scrims = loadJsonFile('scrims.json', {});
+    
+    // Digests set up with /digest: { chatId: { frequency, hour, minute, weekday, lang, nextRunAt, lastSentAt } }
+    const digests = loadJsonFile('digests.json', {});
+    
+    // Token buckets of the rate limits, keyed by "user-<id>" and "chat-<id>"
+    const rateLimitBuckets = new Map();
+    
+    // Telegram user IDs allowed to use admin commands, e.g. ADMIN_IDS=12345,67890
+    const ADMIN_IDS = config.adminIds;
+    
+    // Start command
+    async function handleStart(msg) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        
+        await sendMarkup(chatId, t(lang, 'start.text', { regions: validRegions.join(', ') }));
+    }
+    
+    // Help command
+    async function handleHelp(msg) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        
+        await sendMarkup(chatId, t(lang, 'help.text', { defaultRegion: getChatSettings(chatId).region }));
+    }
+    
+    // Regions command
+    async function handleRegions(msg) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        
+        if (isCommandDisabled(chatId, 'regions')) {
+            return;
+        }
+        
+        let regionsMessage = `🌍 **${t(lang, 'regions.title')}**\n\n`;
+        Object.entries(regionGroups).forEach(([group, codes]) => {
+            regionsMessage += `**${catalogOr(lang, `regions.group.${group}`, group)}:**\n`;
+            codes.forEach((code) => {
+                regionsMessage += `• ${code} - ${regionName(code, config.regions, lang)}\n`;
+            });
+            regionsMessage += '\n';
+        });
+        regionsMessage += t(lang, 'regions.usage');
+        
+        await sendMarkup(chatId, regionsMessage);
+    }
+    
+    // Language command - pick the language of the bot's replies
+    async function handleLanguage(msg, match) {
+        const chatId = msg.chat.id;
+        const code = match[1] && match[1].toLowerCase();
+        
+        if (code && locales[code]) {
+            setUserLanguage(msg.from, code);
+            await sendMarkup(chatId, t(code, 'language.changed'));
+            return;
+        }
+        
+        const lang = getUserLanguage(msg.from);
+        await sendMarkup(chatId, `🌐 **${t(lang, 'language.title')}**\n\n${t(lang, 'language.current', { language: t(lang, 'meta.name') })}\n\n${t(lang, 'language.choose')}`, {
+            reply_markup: languageKeyboard(lang)
+        });
+    }
+    
+    // Settings command - default region, commands, reply style and auto-delete of this chat
+    async function handleSettings(msg) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        
+        if (!msg.from || !(await canChangeSettings(msg.chat, msg.from.id))) {
+            await sendMarkup(chatId, t(lang, 'settings.adminsOnly'));
+            return;
+        }
+        
+        const settings = getChatSettings(chatId);
+        await sendMarkup(chatId, formatChatSettings(settings, settingsChoices, lang), {
+            reply_markup: settingsKeyboard(settings, 'main', settingsChoices, lang)
+        });
+    }
+    
+    // Digest command - daily or weekly summary of the chat's registered and watched players
+    async function handleDigest(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const frequency = (match[1] || '').toLowerCase();
+        const digest = digests[chatId];
+        
+        if (!frequency) {
+            await sendMarkup(chatId, digest ? describeDigest(digest, lang) : t(lang, 'digest.usage'));
+            return;
+        }
+        
+        if (!msg.from || !(await canChangeSettings(msg.chat, msg.from.id))) {
+            await sendMarkup(chatId, t(lang, 'settings.adminsOnly'));
+            return;
+        }
+        
+        if (frequency === 'off') {
+            delete digests[chatId];
+            saveJsonFile('digests.json', digests);
+            await sendMarkup(chatId, t(lang, digest ? 'digest.stopped' : 'digest.notSet'));
+            return;
+        }
+        
+        const hour = Number(match[2]);
+        const minute = Number(match[3]);
+        const weekday = match[4] ? WEEKDAYS.indexOf(match[4].toLowerCase()) : 1;
+        if (!DIGEST_PERIODS[frequency] || !match[2] || hour > 23 || minute > 59 || weekday === -1) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.digest',
+                ['/digest daily [HH:MM]', '/digest weekly [HH:MM] [mon-sun]', '/digest off'],
+                ['/digest daily 21:00', '/digest weekly 18:30 sun']));
+            return;
+        }
+        
+        digests[chatId] = {
+            frequency: frequency,
+            hour: hour,
+            minute: minute,
+            weekday: frequency === 'weekly' ? weekday : null,
+            // Digests are posted in the language of whoever set them up
+            lang: lang,
+            nextRunAt: null,
+            lastSentAt: digest ? digest.lastSentAt : null
+        };
+        digests[chatId].nextRunAt = nextTimeOfDay(hour, minute, digests[chatId].weekday);
+        saveJsonFile('digests.json', digests);
+        
+        let message = describeDigest(digests[chatId], lang);
+        if (digestPlayers(chatId).length === 0) {
+            message += `\n\n💡 ${t(lang, 'digest.noPlayers')}`;
+        }
+        await sendMarkup(chatId, message);
+    }
+    
+    // When a chat's digest is posted and when the next one is due
+    function describeDigest(digest, lang) {
+        const time = `${String(digest.hour).padStart(2, '0')}:${String(digest.minute).padStart(2, '0')}`;
+        const when = digest.frequency === 'weekly'
+            ? t(lang, 'digest.everyWeek', { day: formatDate(digest.nextRunAt, lang, { weekday: 'long' }), time })
+            : t(lang, 'digest.everyDay', { time });
+        
+        return t(lang, 'digest.schedule', {
+            title: t(lang, `digest.title.${digest.frequency}`),
+            when: when,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            next: formatDate(digest.nextRunAt, lang, { dateStyle: 'medium', timeStyle: 'short' })
+        });
+    }
+    
+    // Registered and watched players of a chat, each once
+    function digestPlayers(chatId) {
+        const players = new Map();
+        Object.values(registrations[chatId] || {}).forEach((entry) => players.set(`${entry.uid}-${entry.region}`, entry));
+        (watchlist[chatId] || []).forEach((watch) => players.set(`${watch.uid}-${watch.region}`, watch));
+        return [...players.values()];
+    }
+    
+    // Post the digests that are due - runs every minute and only reads stored snapshots
+    // nextRunAt is on disk, so a digest that came due while the bot was down goes out once on the next run
+    async function sendDueDigests(now = Date.now()) {
+        const due = Object.entries(digests).filter(([, digest]) => digest.nextRunAt <= now);
+        if (due.length === 0) {
+            return;
+        }
+        
+        // Read each player's history once even when several chats follow them
+        const snapshotsByPlayer = new Map();
+        for (const [chatId] of due) {
+            for (const player of digestPlayers(chatId)) {
+                const key = `${player.uid}-${player.region}`;
+                if (!snapshotsByPlayer.has(key)) {
+                    snapshotsByPlayer.set(key, await loadPlayerSnapshots(player.uid, player.region));
+                }
+            }
+        }
+        
+        for (const [chatId, digest] of due) {
+            const since = digest.lastSentAt || now - DIGEST_PERIODS[digest.frequency];
+            const players = digestPlayers(chatId);
+            
+            if (players.length > 0) {
+                // Compare the last snapshot before the period with the latest one
+                // Unchanged stats are not stored again for a while, so a player fetched during the period
+                // may have their latest snapshot from up to that long before it
+                const entries = [];
+                players.forEach((player) => {
+                    const snapshots = snapshotsByPlayer.get(`${player.uid}-${player.region}`);
+                    const after = snapshots[snapshots.length - 1];
+                    if (!after || after.timestamp <= since - SNAPSHOT_UNCHANGED_INTERVAL) {
+                        return;
+                    }
+                    const before = snapshots.filter((snapshot) => snapshot.timestamp <= since).pop() || snapshots[0];
+                    entries.push({ nickname: after.nickname, before, after });
+                });
+                
+                try {
+                    await sendMarkup(chatId, formatDigest(digest.frequency, digestHighlights(entries), since, players.length, players.length - entries.length, digest.lang));
+                } catch (error) {
+                    console.error(`Failed to post digest to chat ${chatId}: ${error.message}`);
+                    retryDigest(chatId, digest, error, now);
+                    continue;
+                }
+            }
+            
+            digest.lastSentAt = now;
+            digest.nextRunAt = nextTimeOfDay(digest.hour, digest.minute, digest.weekday, now);
+            delete digest.failedAttempts;
+        }
+        
+        saveJsonFile('digests.json', digests);
+    }
+    
+    // Decide what happens to a digest Telegram did not take
+    // The bot was removed (403) or the chat is gone (400) - drop the digest. Anything else may pass,
+    // so it is tried again after a growing pause, and skipped after the last attempt - the next
+    // digest then covers both periods, as lastSentAt did not move.
+    function retryDigest(chatId, digest, error, now) {
+        const status = error.response && error.response.statusCode;
+        if (status === 403 || status === 400) {
+            delete digests[chatId];
+            return;
+        }
+        
+        digest.failedAttempts = (digest.failedAttempts || 0) + 1;
+        if (digest.failedAttempts < DIGEST_MAX_ATTEMPTS) {
+            digest.nextRunAt = now + DIGEST_RETRY_DELAY * 2 ** (digest.failedAttempts - 1);
+        } else {
+            digest.nextRunAt = nextTimeOfDay(digest.hour, digest.minute, digest.weekday, now);
+            delete digest.failedAttempts;
+        }
+    }
+    
+    // Stats command - Main feature
+    async function handleStats(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const uid = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        const view = match[3] ? modeAliases[match[3].toLowerCase()] : 'overview';
+        
+        if (isCommandDisabled(chatId, 'stats')) {
+            return;
+        }
+        
+        if (!uid) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.uid', ['/stats [UID] [Region] [Mode]'], ['/stats 1633864660 IND', '/stats 1633864660 IND ranked']));
+            return;
+        }
+        
+        // Validate region
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (!view) {
+            await sendMarkup(chatId, t(lang, 'error.invalidMode', { modes: ['overview', ...gameModes.map((mode) => mode.key)].join(', ') }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        // Send loading message
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.player'));
+        
+        try {
+            const playerData = await playerForView(await fetchPlayerStats(uid, region), view);
+            
+            if (!playerData) {
+                await editMarkup(withTips(chatId, t(lang, 'error.playerNotFound', { uid, region }), 'tips.player', lang), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            // Format and send player stats
+            const statsMessage = formatPlayerReply(chatId, playerData, view, lang);
+            await editMarkup(statsMessage, {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id,
+                reply_markup: playerStatsKeyboard(playerData, view, lang)
+            });
+            
+        } catch (error) {
+            console.error('Error fetching player stats:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.stats'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Search by nickname command
+    async function handleSearch(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        let nickname = match[1] && match[1].trim();
+        
+        if (isCommandDisabled(chatId, 'search')) {
+            return;
+        }
+        
+        if (!nickname) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.nickname', ['/search [Nickname] [Region]'], ['/search ProGamer', '/search SniperKing BR']));
+            return;
+        }
+        
+        // An optional trailing region code filters the results
+        const words = match[1].trim().split(/\s+/);
+        let regionFilter = null;
+        if (words.length > 1 && validRegions.includes(words[words.length - 1])) {
+            regionFilter = words.pop();
+            nickname = words.join(' ');
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, regionFilter
+            ? t(lang, 'search.loadingInRegion', { nickname: escapeMarkup(nickname), region: regionFilter })
+            : t(lang, 'search.loading', { nickname: escapeMarkup(nickname) }));
+        
+        try {
+            const searchResults = await searchPlayerByNickname(nickname, regionFilter);
+            
+            if (!searchResults || searchResults.length === 0) {
+                await editMarkup(withTips(chatId, t(lang, regionFilter ? 'search.noneInRegion' : 'search.none', { nickname: escapeMarkup(nickname), region: regionFilter }), 'tips.search', lang), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            // Format search results
+            let resultMessage = `🔍 **${t(lang, 'search.title', { nickname: escapeMarkup(nickname) })}${regionFilter ? ` (${regionFilter})` : ''}**\n\n`;
+            
+            searchResults.slice(0, 5).forEach((player, index) => {
+                resultMessage += `**${index + 1}.** ${escapeMarkup(player.nickname)}\n`;
+                resultMessage += `• ${t(lang, 'label.uid')}: \`${player.uid}\`\n`;
+                resultMessage += `• ${t(lang, 'label.level')}: ${player.level}\n`;
+                resultMessage += `• ${t(lang, 'label.region')}: ${player.region}\n`;
+                resultMessage += `• ${t(lang, 'search.getStats')}: /stats ${player.uid} ${player.region}\n\n`;
+            });
+            
+            if (searchResults.length > 5) {
+                resultMessage += `*${t(lang, 'search.more', { count: searchResults.length - 5 })}*\n`;
+            }
+            
+            resultMessage += `\n💡 ${t(lang, 'search.hint')}`;
+            
+            // One button per listed player opens their stats directly
+            const resultButtons = searchResults.slice(0, 5).map((player, index) => [{
+                text: `${index + 1}. ${player.nickname} (${player.region})`,
+                callback_data: `s:${player.uid}:${player.region}`
+            }]);
+            
+            await editMarkup(resultMessage, {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id,
+                reply_markup: { inline_keyboard: resultButtons }
+            });
+            
+        } catch (error) {
+            console.error('Error searching players:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.search', { error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Guild info command
+    async function handleGuild(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const guildId = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        
+        if (isCommandDisabled(chatId, 'guild')) {
+            return;
+        }
+        
+        if (!guildId) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.guildId', ['/guild [Guild ID] [Region]'], ['/guild 3033195648 IND']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.guild'));
+        
+        try {
+            const guildData = await fetchGuildInfo(guildId, region);
+            
+            if (!guildData) {
+                await editMarkup(withTips(chatId, t(lang, 'error.guildNotFound', { guildId, region }), 'tips.guild', lang), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            // Format guild information
+            const guildMessage = formatGuildReply(chatId, guildData, null, region, lang);
+            await editMarkup(guildMessage, {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id,
+                reply_markup: guildInfoKeyboard(guildData, region, lang)
+            });
+            
+            // Compact replies have no roster
+            if (getChatSettings(chatId).compact) {
+                return;
+            }
+            
+            // Member nicknames take a while, so show the basics first and add the roster after
+            const roster = await resolveGuildRoster(guildData, region);
+            await editMessageIfChanged(formatGuildInfo(guildData, roster, lang), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id,
+                reply_markup: guildInfoKeyboard(guildData, region, lang)
+            });
+            
+        } catch (error) {
+            console.error('Error fetching guild info:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.guild'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Guild stats command - aggregate stats and leaderboard of a guild's members
+    async function handleGuildStats(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const guildId = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        
+        if (isCommandDisabled(chatId, 'guildstats')) {
+            return;
+        }
+        
+        if (!guildId) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.guildId', ['/guildstats [Guild ID] [Region]'], ['/guildstats 3033195648 IND']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg, 5)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.guildMembers'));
+        
+        try {
+            const guildData = await fetchGuildInfo(guildId, region);
+            
+            if (!guildData) {
+                await editMarkup(t(lang, 'error.guildNotFound', { guildId, region }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            // Leaders come first, so a capped guild still shows its captain and deputies
+            const listedIds = guildMemberIds(guildData).map((member) => member.uid);
+            const memberIds = listedIds.slice(0, GUILD_MEMBER_LIMIT);
+            await editMarkup(t(lang, 'loading.memberStats', { count: memberIds.length }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+            const members = await mapWithConcurrency(memberIds, GUILD_FETCH_CONCURRENCY, async (uid) => {
+                try {
+                    return await fetchPlayerStats(uid, region);
+                } catch (error) {
+                    console.error(`Guild member ${uid} failed: ${error.message}`);
+                    return null;
+                }
+            });
+            const players = members.filter(Boolean);
+            
+            if (players.length === 0) {
+                await editMarkup(t(lang, 'guildStats.noMembers', { guildId }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            await editMarkup(formatGuildStats(guildData, players, memberIds.length, lang, listedIds.length), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+        } catch (error) {
+            console.error('Error fetching guild stats:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.guildStats'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // History command - progress of a player over time
+    async function handleHistory(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const uid = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        const days = Math.min(parseInt(match[3] || '7', 10), SNAPSHOT_RETENTION_DAYS);
+        
+        if (isCommandDisabled(chatId, 'history')) {
+            return;
+        }
+        
+        if (!uid) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.uid', ['/history [UID] [Region] [Days]'], ['/history 1633864660 IND 30']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.history'));
+        
+        try {
+            // Record a fresh snapshot first so the history always ends today
+            try {
+                await fetchPlayerStats(uid, region);
+            } catch (error) {
+                console.error(`Could not refresh ${uid} before history: ${error.message}`);
+            }
+            
+            const since = Date.now() - days * 24 * 60 * 60 * 1000;
+            const snapshots = await loadPlayerSnapshots(uid, region, since);
+            
+            if (snapshots.length === 0) {
+                await editMarkup(t(lang, 'history.none', { uid, region, days }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            await editMarkup(formatPlayerHistory(snapshots, days, lang), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+        } catch (error) {
+            console.error('Error loading player history:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.history'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Compare command - head-to-head comparison of 2 to 4 players
+    async function handleCompare(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const uids = [...new Set(match[1].trim().split(/\s+/).filter(Boolean))];
+        const region = match[2] || getChatSettings(chatId).region;
+        
+        if (isCommandDisabled(chatId, 'compare')) {
+            return;
+        }
+        
+        if (uids.length < 2 || uids.length > 4) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.compare', ['/compare [UID1] [UID2] ... [Region]'], ['/compare 1633864660 2205436102 IND']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg, uids.length)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.players', { count: uids.length }));
+        
+        try {
+            const results = await Promise.allSettled(uids.map((uid) => fetchPlayerStats(uid, region)));
+            const players = [];
+            const missing = [];
+            
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled' && result.value) {
+                    players.push(result.value);
+                } else {
+                    missing.push(uids[index]);
+                }
+            });
+            
+            const missingList = missing.map((uid) => `\`${uid}\``).join(', ');
+            
+            if (players.length < 2) {
+                let notEnoughMessage = t(lang, 'compare.notEnough', { region });
+                if (missing.length > 0) {
+                    notEnoughMessage += `\n\n**${t(lang, 'compare.missing')}:** ${missingList}`;
+                }
+                await editMarkup(`${notEnoughMessage}\n\n${t(lang, 'common.helpHint')}`, {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            let compareMessage = formatPlayerComparison(players, lang);
+            if (missing.length > 0) {
+                compareMessage += `\n⚠️ ${t(lang, 'compare.notFound')}: ${missingList}`;
+            }
+            
+            await editMarkup(compareMessage, {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+        } catch (error) {
+            console.error('Error comparing players:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.compare'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Watch command - get notified when a player's rank, level or guild changes
+    async function handleWatch(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const uid = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        const chatWatches = watchlist[chatId] || [];
+        
+        if (isCommandDisabled(chatId, 'watch')) {
+            return;
+        }
+        
+        // Without a UID, list what this chat is watching
+        if (!uid) {
+            if (chatWatches.length === 0) {
+                await sendMarkup(chatId, t(lang, 'watch.empty'));
+                return;
+            }
+            
+            let listMessage = `👀 **${t(lang, 'watch.listTitle')}**\n\n`;
+            chatWatches.forEach((watch, index) => {
+                listMessage += `**${index + 1}.** ${escapeMarkup(watch.nickname)} - \`${watch.uid}\` ${watch.region}\n`;
+            });
+            listMessage += `\n💡 ${t(lang, 'watch.listHint')}`;
+            
+            await sendMarkup(chatId, listMessage);
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (chatWatches.some((watch) => watch.uid === uid && watch.region === region)) {
+            await sendMarkup(chatId, t(lang, 'watch.already', { uid, region }));
+            return;
+        }
+        
+        if (chatWatches.length >= MAX_WATCHES_PER_CHAT) {
+            await sendMarkup(chatId, t(lang, 'watch.full', { max: MAX_WATCHES_PER_CHAT }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.lookup'));
+        
+        try {
+            const playerData = await fetchPlayerStats(uid, region);
+            
+            if (!playerData) {
+                await editMarkup(t(lang, 'error.playerNotFound', { uid, region }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            // Notifications go out in the language of whoever started the watch
+            chatWatches.push({
+                uid: uid,
+                region: region,
+                nickname: playerData.nickname,
+                lang: lang,
+                last: watchState(playerData)
+            });
+            watchlist[chatId] = chatWatches;
+            saveJsonFile('watchlist.json', watchlist);
+            
+            await editMarkup(t(lang, 'watch.added', { nickname: escapeMarkup(playerData.nickname), threshold: WATCH_POINTS_THRESHOLD, uid, region }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+        } catch (error) {
+            console.error('Error adding watch:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.watch'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Unwatch command
+    async function handleUnwatch(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const uid = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        
+        if (isCommandDisabled(chatId, 'unwatch')) {
+            return;
+        }
+        
+        if (!uid) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.unwatch', ['/unwatch [UID] [Region]']));
+            return;
+        }
+        
+        const chatWatches = watchlist[chatId] || [];
+        const remaining = chatWatches.filter((watch) => !(watch.uid === uid && watch.region === region));
+        
+        if (remaining.length === chatWatches.length) {
+            await sendMarkup(chatId, t(lang, 'unwatch.notWatched', { uid, region }));
+            return;
+        }
+        
+        if (remaining.length > 0) {
+            watchlist[chatId] = remaining;
+        } else {
+            delete watchlist[chatId];
+        }
+        saveJsonFile('watchlist.json', watchlist);
+        
+        await sendMarkup(chatId, t(lang, 'unwatch.done', { uid, region }));
+    }
+    
+    // Inline keyboard buttons
+    async function handleCallbackQuery(query) {
+        const [action, ...args] = (query.data || '').split(':');
+        const message = query.message;
+        const lang = getUserLanguage(query.from);
+        
+        if (!message) {
+            await bot.answerCallbackQuery(query.id);
+            return;
+        }
+        
+        const chatId = message.chat.id;
+        
+        // Button data can be forged, so the region in it is checked like a typed one
+        const regionIndex = { p: 2, r: 2, s: 1, g: 1, gr: 1 }[action];
+        if (regionIndex !== undefined && !validRegions.includes(args[regionIndex])) {
+            const text = renderMarkup(t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }), 'plain');
+            await bot.answerCallbackQuery(query.id, { text: text, show_alert: true });
+            return;
+        }
+        
+        // Buttons show what their command would, so disabling the command disables them too
+        const command = { p: 'stats', r: 'stats', s: 'stats', g: 'guild', gr: 'guild' }[action];
+        if (command && isCommandDisabled(chatId, command)) {
+            await bot.answerCallbackQuery(query.id, { text: t(lang, 'callback.commandDisabled') });
+            return;
+        }
+        
+        // Settings buttons fetch nothing, so an admin clicking through them is not rate limited
+        const retryAfter = action === 'set' ? 0 : checkRateLimit(query.from.id, chatId);
+        
+        if (retryAfter > 0) {
+            await bot.answerCallbackQuery(query.id, { text: t(lang, 'rateLimit.short', { seconds: retryAfter }), show_alert: true });
+            return;
+        }
+        
+        try {
+            if (action === 'p' || action === 'r') {
+                // Switch stats tab, or refresh it without the cache
+                const [view, uid, region] = args;
+                const refresh = action === 'r';
+                const playerData = await playerForView(await fetchPlayerStats(uid, region, { bypassCache: refresh }), view, { bypassCache: refresh });
+                
+                if (!playerData) {
+                    await bot.answerCallbackQuery(query.id, { text: `❌ ${t(lang, 'callback.playerNotFound')}`, show_alert: true });
+                    return;
+                }
+                
+                await editMessageIfChanged(formatPlayerReply(chatId, playerData, view, lang), {
+                    chat_id: chatId,
+                    message_id: message.message_id,
+                    reply_markup: playerStatsKeyboard(playerData, view, lang)
+                });
+                await bot.answerCallbackQuery(query.id, refresh ? { text: `🔄 ${t(lang, 'callback.statsRefreshed')}` } : {});
+                
+            } else if (action === 's') {
+                // Search result - open the player's stats as a new message
+                const [uid, region] = args;
+                await bot.answerCallbackQuery(query.id);
+                
+                const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.player'));
+                const playerData = await fetchPlayerStats(uid, region);
+                
+                await editMarkup(playerData ? formatPlayerReply(chatId, playerData, 'overview', lang) : t(lang, 'error.noData', { uid, region }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id,
+                    reply_markup: playerData ? playerStatsKeyboard(playerData, 'overview', lang) : undefined
+                });
+                
+            } else if (action === 'g' || action === 'gr') {
+                // View a guild as a new message, or refresh a guild message in place
+                const [guildId, region] = args;
+                const refresh = action === 'gr';
+                const guildData = await fetchGuildInfo(guildId, region, { bypassCache: refresh });
+                
+                if (!guildData) {
+                    await bot.answerCallbackQuery(query.id, { text: `❌ ${t(lang, 'callback.guildNotFound')}`, show_alert: true });
+                    return;
+                }
+                
+                const options = {
+                    reply_markup: guildInfoKeyboard(guildData, region, lang)
+                };
+                const roster = getChatSettings(chatId).compact ? null : await resolveGuildRoster(guildData, region);
+                
+                if (refresh) {
+                    await editMessageIfChanged(formatGuildReply(chatId, guildData, roster, region, lang), {
+                        ...options,
+                        chat_id: chatId,
+                        message_id: message.message_id
+                    });
+                    await bot.answerCallbackQuery(query.id, { text: `🔄 ${t(lang, 'callback.guildRefreshed')}` });
+                } else {
+                    await bot.answerCallbackQuery(query.id);
+                    await sendMarkup(chatId, formatGuildReply(chatId, guildData, roster, region, lang), options);
+                }
+                
+            } else if (action === 'lang') {
+                // Language picked from the /language keyboard
+                const [code] = args;
+                
+                if (!locales[code]) {
+                    await bot.answerCallbackQuery(query.id);
+                    return;
+                }
+                
+                setUserLanguage(query.from, code);
+                await editMessageIfChanged(t(code, 'language.changed'), {
+                    chat_id: chatId,
+                    message_id: message.message_id
+                });
+                await bot.answerCallbackQuery(query.id, { text: `✅ ${t(code, 'meta.name')}` });
+                
+            } else if (action === 'set') {
+                // A button of the /settings keyboard
+                const [setting, value] = args;
+                
+                if (!(await canChangeSettings(message.chat, query.from.id))) {
+                    await bot.answerCallbackQuery(query.id, { text: t(lang, 'settings.adminsOnly'), show_alert: true });
+                    return;
+                }
+                
+                let settings = getChatSettings(chatId);
+                let page = 'main';
+                
+                if (setting === 'page') {
+                    page = ['region', 'commands'].includes(value) ? value : 'main';
+                } else if (setting === 'region' && validRegions.includes(value)) {
+                    settings = updateChatSettings(chatId, { region: value });
+                } else if (setting === 'compact') {
+                    settings = updateChatSettings(chatId, { compact: !settings.compact });
+                } else if (setting === 'autodelete') {
+                    // Cycle through the options, back to off after the longest
+                    const next = AUTO_DELETE_OPTIONS[(AUTO_DELETE_OPTIONS.indexOf(settings.autoDeleteMinutes) + 1) % AUTO_DELETE_OPTIONS.length];
+                    settings = updateChatSettings(chatId, { autoDeleteMinutes: next });
+                } else if (setting === 'command' && toggleableCommands.includes(value)) {
+                    const disabled = settings.disabledCommands.includes(value);
+                    settings = updateChatSettings(chatId, {
+                        disabledCommands: disabled
+                            ? settings.disabledCommands.filter((command) => command !== value)
+                            : [...settings.disabledCommands, value]
+                    });
+                    page = 'commands';
+                }
+                
+                await editMessageIfChanged(formatChatSettings(settings, settingsChoices, lang), {
+                    chat_id: chatId,
+                    message_id: message.message_id,
+                    reply_markup: settingsKeyboard(settings, page, settingsChoices, lang)
+                });
+                await bot.answerCallbackQuery(query.id);
+                
+            } else {
+                await bot.answerCallbackQuery(query.id);
+            }
+            
+        } catch (error) {
+            console.error('Error handling button:', error);
+            metrics.errors.inc('handler');
+            await bot.answerCallbackQuery(query.id, { text: `❌ ${error.message}`, show_alert: true }).catch(() => {});
+        }
+    }
+    
+    // Inline mode - "@bot 1633864660 BR" or "@bot guild 3033195648 BR" in any chat
+    async function handleInlineQuery(query) {
+        const match = query.query.trim().match(/^(guild\s+)?(\d+)(?:\s+([A-Za-z]{2,3}))?$/i);
+        
+        if (!match) {
+            await bot.answerInlineQuery(query.id, [], { cache_time: 300 }).catch(() => {});
+            return;
+        }
+        
+        const isGuild = Boolean(match[1]);
+        const id = match[2];
+        const region = (match[3] || DEFAULT_REGION).toUpperCase();
+        const lang = getUserLanguage(query.from);
+        
+        if (!validRegions.includes(region)) {
+            await bot.answerInlineQuery(query.id, [], { cache_time: 300 }).catch(() => {});
+            return;
+        }
+        
+        // Inline queries have no chat, so the settings of the user's private chat with the bot apply
+        if (isCommandDisabled(query.from.id, isGuild ? 'guild' : 'stats')) {
+            await bot.answerInlineQuery(query.id, [], { cache_time: 60, is_personal: true }).catch(() => {});
+            return;
+        }
+        
+        // Inline queries have no chat, so only the per-user limit applies
+        if (checkRateLimit(query.from.id, null) > 0) {
+            await bot.answerInlineQuery(query.id, [], { cache_time: 5 }).catch(() => {});
+            return;
+        }
+        
+        const results = [];
+        
+        try {
+            let guildId = isGuild ? id : null;
+            
+            if (!isGuild) {
+                const playerData = await fetchPlayerStats(id, region);
+                if (playerData) {
+                    results.push({
+                        type: 'article',
+                        id: `player-${playerData.uid}-${playerData.region}`,
+                        title: `🎮 ${playerData.nickname} (${t(lang, 'label.levelShort')} ${playerData.level})`,
+                        description: `${playerData.rank} • ${t(lang, 'label.kd')} ${formatDecimal(playerData.kdRatio, 2, lang)} • ${t(lang, 'label.winRate')} ${formatDecimal(playerData.winRate, 1, lang)}%`,
+                        input_message_content: {
+                            message_text: renderMarkup(formatPlayerCard(playerData, lang)),
+                            parse_mode: 'HTML'
+                        }
+                    });
+                    guildId = playerData.clanInfo && playerData.clanInfo.clanId;
+                }
+            }
+            
+            // Offer the player's guild as a second card
+            if (guildId && !isCommandDisabled(query.from.id, 'guild')) {
+                const guildData = await fetchGuildInfo(guildId, region);
+                if (guildData) {
+                    results.push({
+                        type: 'article',
+                        id: `guild-${guildData.clanId}-${region}`,
+                        title: `🏰 ${guildData.clanName} (${t(lang, 'label.levelShort')} ${guildData.clanLevel})`,
+                        description: t(lang, 'guild.memberCount', { count: guildData.memberNum, capacity: guildData.capacity }),
+                        input_message_content: {
+                            message_text: renderMarkup(formatGuildCard(guildData, region, lang)),
+                            parse_mode: 'HTML'
+                        }
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Error answering inline query:', error);
+            metrics.errors.inc('handler');
+        }
+        
+        // Results differ by language, so Telegram must not share them between users
+        await bot.answerInlineQuery(query.id, results, { cache_time: 60, is_personal: true }).catch((error) => {
+            console.error('Failed to answer inline query:', error.message);
+        });
+    }
+    
+    // Card command - stats card image for sharing outside Telegram
+    async function handleCard(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const uid = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        
+        if (isCommandDisabled(chatId, 'card')) {
+            return;
+        }
+        
+        if (!uid) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.uid', ['/card [UID] [Region]'], ['/card 1633864660 IND']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg, 2)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.card'));
+        
+        try {
+            const playerData = await fetchPlayerStats(uid, region);
+            
+            if (!playerData) {
+                await editMarkup(`${t(lang, 'error.playerNotFound', { uid, region })}\n\n${t(lang, 'common.helpHint')}`, {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            // The image itself stays in English - the card fonts only cover Latin scripts
+            const image = await renderPlayerCard(playerData);
+            const photo = await bot.sendPhoto(chatId, image, {
+                caption: `🎮 ${playerData.nickname} • ${playerData.rank} • /stats ${playerData.uid} ${playerData.region}`
+            }, {
+                filename: `ff-card-${playerData.uid}.png`,
+                contentType: 'image/png'
+            });
+            scheduleAutoDelete(chatId, photo);
+            await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+            
+        } catch (error) {
+            console.error('Error drawing stats card:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.card'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Export command - player or guild data as a CSV or JSON file for spreadsheets and tools
+    async function handleExport(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const isGuild = Boolean(match[1]);
+        const id = match[2];
+        const region = match[3] || getChatSettings(chatId).region;
+        const format = match[4] || 'csv';
+        
+        if (isCommandDisabled(chatId, 'export')) {
+            return;
+        }
+        
+        if (!id) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.export',
+                ['/export [UID] [Region] [csv|json]', '/export guild:[Guild ID] [Region] [csv|json]'],
+                ['/export 1633864660 IND', '/export guild:3033195648 IND json']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        // A guild export resolves the nickname of every member
+        if (await replyIfRateLimited(msg, isGuild ? 3 : 2)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.export'));
+        
+        try {
+            let file;
+            let caption;
+            
+            if (isGuild) {
+                const guildData = await fetchGuildInfo(id, region);
+                if (!guildData) {
+                    await editMarkup(t(lang, 'error.guildNotFound', { guildId: id, region }), {
+                        chat_id: chatId,
+                        message_id: loadingMsg.message_id
+                    });
+                    return;
+                }
+                
+                const roster = await resolveGuildRoster(guildData, region);
+                file = guildExport(guildData, roster, region, format);
+                caption = t(lang, 'export.guildCaption', { name: guildData.clanName, count: roster.length });
+            } else {
+                const playerData = await fetchPlayerStats(id, region);
+                if (!playerData) {
+                    await editMarkup(`${t(lang, 'error.playerNotFound', { uid: id, region })}\n\n${t(lang, 'common.helpHint')}`, {
+                        chat_id: chatId,
+                        message_id: loadingMsg.message_id
+                    });
+                    return;
+                }
+                
+                // The export has a row for every mode, so the extra ones are fetched too
+                const fullPlayer = await withExtraModes(playerData);
+                const snapshots = await loadPlayerSnapshots(playerData.uid, playerData.region);
+                file = playerExport(fullPlayer, snapshots, format);
+                caption = t(lang, 'export.playerCaption', { nickname: playerData.nickname, count: snapshots.length });
+            }
+            
+            const document = await bot.sendDocument(chatId, Buffer.from(file.content, 'utf8'), { caption }, {
+                filename: file.filename,
+                contentType: file.contentType
+            });
+            scheduleAutoDelete(chatId, document);
+            await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+            
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.export'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Register command - link a Telegram user to their game account in this chat
+    async function handleRegister(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const uid = match[1];
+        const region = match[2] || getChatSettings(chatId).region;
+        
+        if (isCommandDisabled(chatId, 'register')) {
+            return;
+        }
+        
+        if (!uid) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.ownUid', ['/register [UID] [Region]'], ['/register 1633864660 IND']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.account'));
+        
+        try {
+            const playerData = await fetchPlayerStats(uid, region);
+            
+            if (!playerData) {
+                await editMarkup(t(lang, 'error.playerNotFound', { uid, region }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            registrations[chatId] = registrations[chatId] || {};
+            registrations[chatId][msg.from.id] = {
+                uid: uid,
+                region: region,
+                name: msg.from.username ? `@${msg.from.username}` : msg.from.first_name,
+                registeredAt: Date.now()
+            };
+            saveJsonFile('registrations.json', registrations);
+            
+            await editMarkup(t(lang, 'register.done', { nickname: escapeMarkup(playerData.nickname) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+        } catch (error) {
+            console.error('Error registering player:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.register'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Unregister command
+    async function handleUnregister(msg) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const chatRegistrations = registrations[chatId] || {};
+        
+        if (isCommandDisabled(chatId, 'unregister')) {
+            return;
+        }
+        
+        if (!chatRegistrations[msg.from.id]) {
+            await sendMarkup(chatId, t(lang, 'unregister.none'));
+            return;
+        }
+        
+        delete chatRegistrations[msg.from.id];
+        if (Object.keys(chatRegistrations).length === 0) {
+            delete registrations[chatId];
+        }
+        saveJsonFile('registrations.json', registrations);
+        
+        await sendMarkup(chatId, t(lang, 'unregister.done'));
+    }
+    
+    // Me command - stats of the caller's registered account
+    async function handleMe(msg) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const registration = findRegistration(chatId, msg.from.id);
+        
+        if (isCommandDisabled(chatId, 'me')) {
+            return;
+        }
+        
+        if (!registration) {
+            await sendMarkup(chatId, t(lang, 'me.notRegistered'));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.player'));
+        
+        try {
+            const playerData = await fetchPlayerStats(registration.uid, registration.region);
+            
+            if (!playerData) {
+                await editMarkup(t(lang, 'error.noData', { uid: registration.uid, region: registration.region }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            await editMarkup(formatPlayerReply(chatId, playerData, 'overview', lang), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id,
+                reply_markup: playerStatsKeyboard(playerData, 'overview', lang)
+            });
+            
+        } catch (error) {
+            console.error('Error fetching own stats:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.player'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Leaderboard command - rank the players registered in this chat
+    async function handleLeaderboard(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const metricName = (match[1] || 'kd').toLowerCase();
+        const metric = leaderboardMetrics[metricName];
+        
+        if (isCommandDisabled(chatId, 'leaderboard')) {
+            return;
+        }
+        
+        if (!metric) {
+            await sendMarkup(chatId, t(lang, 'leaderboard.unknown', { boards: Object.keys(leaderboardMetrics).map((name) => `\`${name}\``).join(', ') }));
+            return;
+        }
+        
+        const entries = Object.values(registrations[chatId] || {});
+        if (entries.length === 0) {
+            await sendMarkup(chatId, t(lang, 'leaderboard.empty'));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg, 3)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.leaderboard', { count: entries.length }));
+        
+        try {
+            const players = await mapWithConcurrency(entries, GUILD_FETCH_CONCURRENCY, async (entry) => {
+                try {
+                    const playerData = await fetchPlayerStats(entry.uid, entry.region);
+                    return playerData ? { ...entry, player: playerData } : null;
+                } catch (error) {
+                    console.error(`Leaderboard player ${entry.uid} failed: ${error.message}`);
+                    return null;
+                }
+            });
+            
+            const ranked = players.filter(Boolean).sort((a, b) => metric.value(b.player) - metric.value(a.player));
+            
+            await editMarkup(formatLeaderboard(metric, ranked, entries.length, lang), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+        } catch (error) {
+            console.error('Error building leaderboard:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.leaderboard'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Scrim command - kills, wins and matches of a group of players during a custom-room session
+    async function handleScrim(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const action = (match[1] || '').toLowerCase();
+        const argument = (match[2] || '').trim();
+        const scrim = scrims[chatId];
+        
+        if (isCommandDisabled(chatId, 'scrim')) {
+            return;
+        }
+        
+        if (!action) {
+            await sendMarkup(chatId, scrim ? formatScrim(scrim, MAX_SCRIM_PLAYERS, lang) : t(lang, 'scrim.usage'));
+            return;
+        }
+        
+        if (!['new', 'add', 'remove', 'start', 'end', 'cancel'].includes(action)) {
+            await sendMarkup(chatId, t(lang, 'scrim.usage'));
+            return;
+        }
+        
+        // Members may add players, running the scrim is up to the admins of a group
+        if (action !== 'add' && (!msg.from || !(await canChangeSettings(msg.chat, msg.from.id)))) {
+            await sendMarkup(chatId, t(lang, 'scrim.adminsOnly'));
+            return;
+        }
+        
+        if (action === 'new') {
+            if (scrim) {
+                await sendMarkup(chatId, t(lang, 'scrim.exists', { name: escapeMarkup(scrim.name) }));
+                return;
+            }
+            if (!argument) {
+                await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.scrimName', ['/scrim new [Name]'], ['/scrim new Weekly Scrim']));
+                return;
+            }
+            
+            scrims[chatId] = { name: argument.slice(0, 40), createdAt: Date.now(), startedAt: null, players: [] };
+            saveJsonFile('scrims.json', scrims);
+            await sendMarkup(chatId, t(lang, 'scrim.created', { name: escapeMarkup(scrims[chatId].name) }));
+            return;
+        }
+        
+        if (!scrim) {
+            await sendMarkup(chatId, t(lang, 'scrim.none'));
+            return;
+        }
+        
+        if (action === 'cancel') {
+            delete scrims[chatId];
+            saveJsonFile('scrims.json', scrims);
+            await sendMarkup(chatId, t(lang, 'scrim.cancelled', { name: escapeMarkup(scrim.name) }));
+            return;
+        }
+        
+        if (action === 'add' || action === 'remove') {
+            if (scrim.startedAt) {
+                await sendMarkup(chatId, t(lang, 'scrim.alreadyStarted'));
+                return;
+            }
+            
+            const [, uid, regionArgument] = argument.match(/^(\d+)(?:\s+([A-Z]{2,3}))?/) || [];
+            if (!uid) {
+                await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.uid', [`/scrim ${action} [UID] [Region]`], [`/scrim ${action} 1633864660 IND`]));
+                return;
+            }
+            
+            const region = regionArgument || getChatSettings(chatId).region;
+            await (action === 'add' ? addScrimPlayer(msg, scrim, uid, region, lang) : removeScrimPlayer(chatId, scrim, uid, region, lang));
+            return;
+        }
+        
+        if (action === 'start' && scrim.startedAt) {
+            await sendMarkup(chatId, t(lang, 'scrim.alreadyStarted'));
+            return;
+        }
+        if (action === 'start' && scrim.players.length === 0) {
+            await sendMarkup(chatId, t(lang, 'scrim.empty'));
+            return;
+        }
+        if (action === 'end' && !scrim.startedAt) {
+            await sendMarkup(chatId, t(lang, 'scrim.notStarted'));
+            return;
+        }
+        
+        // Every player is fetched again, skipping the cache
+        if (await replyIfRateLimited(msg, 3)) {
+            return;
+        }
+        
+        const players = action === 'start' ? scrim.players : scrim.players.filter((player) => player.start);
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.scrim', { count: players.length }));
+        
+        try {
+            const results = await mapWithConcurrency(players, GUILD_FETCH_CONCURRENCY, async (player) => {
+                try {
+                    return await fetchPlayerStats(player.uid, player.region, { bypassCache: true });
+                } catch (error) {
+                    console.error(`Scrim player ${player.uid} failed: ${error.message}`);
+                    return null;
+                }
+            });
+            // A stale copy is what the cache had before the scrim, not the current stats,
+            // so those players count as failed and are named in the reply
+            const fetched = results.map((playerData) => playerData && !playerData.stale ? playerData : null);
+            const stalePlayers = players.filter((player, index) => results[index] && results[index].stale);
+            const staleNotice = stalePlayers.length > 0
+                ? `⏳ ${t(lang, 'scrim.stale', { players: stalePlayers.map((player) => escapeMarkup(player.nickname)).join(', ') })}`
+                : null;
+            const failedCount = fetched.filter((playerData) => !playerData).length;
+            
+            if (action === 'start') {
+                if (failedCount === players.length) {
+                    await editMarkup([t(lang, 'scrim.noneLoaded'), staleNotice].filter(Boolean).join('\n\n'), { chat_id: chatId, message_id: loadingMsg.message_id });
+                    return;
+                }
+                
+                // Players that could not be loaded now have nothing to compare against at the end
+                players.forEach((player, index) => {
+                    player.start = fetched[index] ? scrimState(fetched[index]) : null;
+                });
+                scrim.startedAt = Date.now();
+                saveJsonFile('scrims.json', scrims);
+                
+                let message = t(lang, 'scrim.started', { name: escapeMarkup(scrim.name), count: players.length - failedCount });
+                if (failedCount > 0) {
+                    message += `\n\n⚠️ ${t(lang, 'scrim.failed', { count: failedCount })}`;
+                }
+                if (staleNotice) {
+                    message += `\n${staleNotice}`;
+                }
+                await editMarkup(message, { chat_id: chatId, message_id: loadingMsg.message_id });
+                return;
+            }
+            
+            // Keep the scrim and its start stats so /scrim end can be tried again
+            if (failedCount === players.length) {
+                await editMarkup([t(lang, 'scrim.endFailed'), staleNotice].filter(Boolean).join('\n\n'), { chat_id: chatId, message_id: loadingMsg.message_id });
+                return;
+            }
+            
+            const ranking = rankScrimResults(players
+                .map((player, index) => fetched[index] && { ...player, end: scrimState(fetched[index]) })
+                .filter(Boolean));
+            const skippedCount = scrim.players.length - players.length;
+            const resultsMessage = formatScrimResults(scrim, ranking, failedCount + skippedCount, lang);
+            
+            await editMarkup(staleNotice ? `${resultsMessage}${staleNotice}\n` : resultsMessage, {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+            delete scrims[chatId];
+            saveJsonFile('scrims.json', scrims);
+            
+        } catch (error) {
+            console.error('Error updating scrim:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.scrim'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Add a player to a scrim that has not started yet
+    async function addScrimPlayer(msg, scrim, uid, region, lang) {
+        const chatId = msg.chat.id;
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        if (scrim.players.some((player) => player.uid === uid && player.region === region)) {
+            await sendMarkup(chatId, t(lang, 'scrim.alreadyAdded', { uid, region }));
+            return;
+        }
+        
+        if (scrim.players.length >= MAX_SCRIM_PLAYERS) {
+            await sendMarkup(chatId, t(lang, 'scrim.full', { max: MAX_SCRIM_PLAYERS }));
+            return;
+        }
+        
+        if (await replyIfRateLimited(msg)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.lookup'));
+        
+        try {
+            const playerData = await fetchPlayerStats(uid, region);
+            
+            if (!playerData) {
+                await editMarkup(t(lang, 'error.playerNotFound', { uid, region }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            scrim.players.push({ uid: uid, region: region, nickname: playerData.nickname, start: null });
+            saveJsonFile('scrims.json', scrims);
+            
+            await editMarkup(t(lang, 'scrim.added', {
+                nickname: escapeMarkup(playerData.nickname),
+                name: escapeMarkup(scrim.name),
+                count: scrim.players.length,
+                max: MAX_SCRIM_PLAYERS
+            }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+            
+        } catch (error) {
+            console.error('Error adding scrim player:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.scrim'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Remove a player from a scrim that has not started yet
+    async function removeScrimPlayer(chatId, scrim, uid, region, lang) {
+        const index = scrim.players.findIndex((player) => player.uid === uid && player.region === region);
+        if (index === -1) {
+            await sendMarkup(chatId, t(lang, 'scrim.notInScrim', { uid, region }));
+            return;
+        }
+        
+        scrim.players.splice(index, 1);
+        saveJsonFile('scrims.json', scrims);
+        await sendMarkup(chatId, t(lang, 'scrim.removed', { uid, region }));
+    }
+    
+    // Refresh command - fetch a player or guild again, skipping the cache
+    async function handleRefresh(msg, match) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        const isGuild = Boolean(match[1]);
+        const id = match[2];
+        const region = match[3] || getChatSettings(chatId).region;
+        
+        if (isCommandDisabled(chatId, 'refresh')) {
+            return;
+        }
+        
+        if (!id) {
+            await sendMarkup(chatId, invalidFormatMessage(lang, 'prompt.refresh', ['/refresh [UID] [Region]', '/refresh guild [Guild ID] [Region]']));
+            return;
+        }
+        
+        if (!validRegions.includes(region)) {
+            await sendMarkup(chatId, t(lang, 'error.invalidRegion', { regions: validRegions.join(', ') }));
+            return;
+        }
+        
+        // Skipping the cache always hits the upstream, so it costs more
+        if (await replyIfRateLimited(msg, 2)) {
+            return;
+        }
+        
+        const loadingMsg = await sendMarkup(chatId, t(lang, 'loading.fresh'));
+        
+        try {
+            const data = isGuild
+                ? await fetchGuildInfo(id, region, { bypassCache: true })
+                : await fetchPlayerStats(id, region, { bypassCache: true });
+                
+            if (!data) {
+                await editMarkup(t(lang, 'refresh.notFound', { id, region }), {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id
+                });
+                return;
+            }
+            
+            await editMarkup(isGuild ? formatGuildReply(chatId, data, null, region, lang) : formatPlayerReply(chatId, data, 'overview', lang), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id,
+                reply_markup: isGuild ? guildInfoKeyboard(data, region, lang) : playerStatsKeyboard(data, 'overview', lang)
+            });
+            
+        } catch (error) {
+            console.error('Error refreshing data:', error);
+            metrics.errors.inc('handler');
+            await editMarkup(t(lang, 'error.occurred', { reason: t(lang, 'reason.refresh'), error: escapeMarkup(error.message) }), {
+                chat_id: chatId,
+                message_id: loadingMsg.message_id
+            });
+        }
+    }
+    
+    // Status command - bot internals for admins only
+    // Source names, circuit states, job names and error kinds stay as they are in the logs and /metrics
+    async function handleStatus(msg) {
+        const chatId = msg.chat.id;
+        const lang = getUserLanguage(msg.from);
+        
+        if (!msg.from || !ADMIN_IDS.includes(String(msg.from.id))) {
+            await sendMarkup(chatId, t(lang, 'status.adminsOnly'));
+            return;
+        }
+        
+        const health = healthReport();
+        const memory = process.memoryUsage();
+        const hits = metrics.cache.get('hit');
+        const lookups = hits + metrics.cache.get('miss') + metrics.cache.get('stale');
+        const statusIcons = { ok: '🟢', degraded: '🟡', down: '🔴' };
+        const age = (timestamp) => formatAge(timestamp, lang);
+        
+        let statusMessage = `${t(lang, 'status.title', { icon: statusIcons[health.status], status: t(lang, `status.health.${health.status}`) })}\n\n`;
+        
+        statusMessage += `${t(lang, 'status.process')}\n`;
+        statusMessage += `• ${t(lang, 'status.uptime', { age: age(startedAt) })}\n`;
+        statusMessage += `• ${t(lang, 'status.mode', { mode: health.mode })}\n`;
+        statusMessage += `• ${t(lang, 'status.memory', { mb: Math.round(memory.rss / 1024 / 1024) })}\n\n`;
+        
+        statusMessage += `${t(lang, 'status.sources')}\n`;
+        health.sources.forEach((source) => {
+            const icon = source.reachable === false || source.circuit === 'open' ? '🔴' : source.reachable ? '🟢' : '⚪';
+            statusMessage += `${icon} ${source.name}\n`;
+            statusMessage += `   ${source.lastSuccess ? t(lang, 'status.lastSuccess', { age: age(source.lastSuccess) }) : t(lang, 'status.neverSucceeded')}\n`;
+            if (source.circuit !== 'closed') {
+                statusMessage += `   ${t(lang, 'status.circuit', { state: source.circuit, age: age(source.circuitOpenedAt), failures: source.consecutiveFailures })}\n`;
+            }
+            if (source.lastError) {
+                statusMessage += `   ${t(lang, 'status.lastError', { error: `\`${escapeMarkup(source.lastError)}\`` })}\n`;
+            }
+        });
+        
+        statusMessage += `\n${t(lang, 'status.cache')}\n`;
+        statusMessage += `• ${t(lang, 'status.cacheEntries', { count: health.cacheSize })}\n`;
+        statusMessage += `• ${t(lang, 'status.hitRatio', { ratio: formatDecimal(lookups > 0 ? (hits / lookups) * 100 : 0, 1, lang), lookups })}\n`;
+        const queue = stats.queueStatus();
+        statusMessage += `• ${t(lang, 'status.upstream', { active: queue.active, queued: queue.queued })}\n\n`;
+        
+        statusMessage += `${t(lang, 'status.commands')}\n`;
+        const commandCounts = botCommands
+            .map((command) => [command, metrics.commands.get(command)])
+            .filter(([command, count]) => count > 0)
+            .sort((a, b) => b[1] - a[1]);
+        statusMessage += commandCounts.length > 0
+            ? commandCounts.map(([command, count]) => `• /${command}: ${count}`).join('\n') + '\n'
+            : `• ${t(lang, 'status.noCommands')}\n`;
+        const errors = ['handler', 'upstream', 'bad_data', 'update', 'polling'].map((kind) => `${kind} ${metrics.errors.get(kind)}`).join(', ');
+        statusMessage += `• ${t(lang, 'status.errors', { errors })}\n\n`;
+        
+        statusMessage += `${t(lang, 'status.jobs')}\n`;
+        for (const job of scheduler.jobs.values()) {
+            statusMessage += `• ${job.name}: ${job.lastRun ? t(lang, 'status.jobRan', { age: age(job.lastRun) }) : t(lang, 'status.jobNotRun')}\n`;
+        }
+        
+        await sendMarkup(chatId, statusMessage);
+    }
+    
+    // Edit a message, ignoring Telegram's error when the content did not change
+    async function editMessageIfChanged(text, options) {
+        try {
+            await editMarkup(text, options);
+        } catch (error) {
+            if (!/message is not modified/.test(error.message)) {
+                throw error;
+            }
+        }
+    }
+    
+    // Send a message written in the bot's markup (see renderMarkup) as HTML
+    // If Telegram still cannot parse it, the same text goes out without formatting
+    // Replies are queued for auto-delete when the chat has it switched on
+    async function sendMarkup(chatId, text, options = {}) {
+        let message;
+        try {
+            message = await bot.sendMessage(chatId, renderMarkup(text), { ...options, parse_mode: 'HTML' });
+        } catch (error) {
+            if (!isEntityParseError(error)) {
+                throw error;
+            }
+            console.error(`Telegram rejected formatting, sending plain text: ${error.message}`);
+            message = await bot.sendMessage(chatId, renderMarkup(text, 'plain'), options);
+        }
+        
+        scheduleAutoDelete(chatId, message);
+        return message;
+    }
+    
+    // Edit a message to text written in the bot's markup, with the same plain text fallback
+    async function editMarkup(text, options) {
+        try {
+            return await bot.editMessageText(renderMarkup(text), { ...options, parse_mode: 'HTML' });
+        } catch (error) {
+            if (!isEntityParseError(error)) {
+                throw error;
+            }
+            console.error(`Telegram rejected formatting, editing as plain text: ${error.message}`);
+            return bot.editMessageText(renderMarkup(text, 'plain'), options);
+        }
+    }
+    
+    function isEntityParseError(error) {
+        return /can't parse entities|unsupported start tag|can't find end tag/i.test(error.message);
+    }
+    
+    // Re-fetch every watched player and notify the chats watching them
+    async function checkWatchlist() {
+        // Fetch each player once even when several chats watch them
+        const players = new Map();
+        let changed = false;
+        for (const chatWatches of Object.values(watchlist)) {
+            chatWatches.forEach((watch) => players.set(`${watch.uid}-${watch.region}`, watch));
+        }
+        
+        for (const [key, watch] of players) {
+            let playerData;
+            try {
+                playerData = await fetchPlayerStats(watch.uid, watch.region);
+            } catch (error) {
+                console.error(`Watchlist check failed for ${key}: ${error.message}`);
+                continue;
+            }
+            
+            if (!playerData) {
+                continue;
+            }
+            
+            const current = watchState(playerData);
+            
+            for (const [chatId, chatWatches] of Object.entries(watchlist)) {
+                const entry = chatWatches.find((item) => `${item.uid}-${item.region}` === key);
+                if (!entry) {
+                    continue;
+                }
+                
+                const lang = entry.lang || DEFAULT_LANGUAGE;
+                const changes = watchChanges(entry.last, current, WATCH_POINTS_THRESHOLD, lang);
+                if (changes.length === 0) {
+                    continue;
+                }
+                
+                // Only move the baseline once we notified, so small point gains add up
+                entry.last = current;
+                entry.nickname = playerData.nickname;
+                changed = true;
+                
+                try {
+                    await sendMarkup(chatId,
+                        `🔔 **${t(lang, 'watch.updateTitle')}**\n\n🎮 **${escapeMarkup(playerData.nickname)}** (\`${watch.uid}\` ${watch.region})\n\n${changes.join('\n')}`);
+                } catch (error) {
+                    console.error(`Failed to notify chat ${chatId}: ${error.message}`);
+                    // The bot was removed from the chat - drop its watchlist
+                    if (error.response && error.response.statusCode === 403) {
+                        delete watchlist[chatId];
+                    }
+                }
+            }
+        }
+        
+        if (changed) {
+            saveJsonFile('watchlist.json', watchlist);
+        }
+    }
+    
+    // Settings of a chat with the defaults filled in
+    function getChatSettings(chatId) {
+        const stored = chatSettings[chatId] || {};
+        
+        return {
+            // A region removed from the config falls back to the default
+            region: validRegions.includes(stored.region) ? stored.region : DEFAULT_REGION,
+            disabledCommands: (stored.disabledCommands || []).filter((command) => toggleableCommands.includes(command)),
+            compact: Boolean(stored.compact),
+            autoDeleteMinutes: stored.autoDeleteMinutes || 0
+        };
+    }
+    
+    function updateChatSettings(chatId, changes) {
+        const settings = { ...getChatSettings(chatId), ...changes };
+        chatSettings[chatId] = settings;
+        saveJsonFile('chat-settings.json', chatSettings);
+        return settings;
+    }
+    
+    // Disabled commands are ignored without a reply so a group is not spammed
+    function isCommandDisabled(chatId, command) {
+        return getChatSettings(chatId).disabledCommands.includes(command);
+    }
+    
+    // Anyone may change the settings of a private chat, only admins those of a group
+    async function canChangeSettings(chat, userId) {
+        if (chat.type === 'private' || ADMIN_IDS.includes(String(userId))) {
+            return true;
+        }
+        
+        try {
+            const member = await bot.getChatMember(chat.id, userId);
+            return ['creator', 'administrator'].includes(member.status);
+        } catch (error) {
+            console.error(`Admin check in chat ${chat.id} failed: ${error.message}`);
+            return false;
+        }
+    }
+    
+    // Queue a bot reply for deletion when the chat has auto-delete switched on
+    function scheduleAutoDelete(chatId, message) {
+        const minutes = getChatSettings(chatId).autoDeleteMinutes;
+        if (!minutes || !message) {
+            return;
+        }
+        
+        pendingDeletes.push({ chatId: chatId, messageId: message.message_id, deleteAt: Date.now() + minutes * 60 * 1000 });
+        saveJsonFile('pending-deletes.json', pendingDeletes);
+    }
+    
+    // Delete the queued replies that are due - the queue is on disk so restarts do not lose any
+    async function deleteExpiredMessages() {
+        const now = Date.now();
+        const due = pendingDeletes.filter((entry) => entry.deleteAt <= now);
+        if (due.length === 0) {
+            return;
+        }
+        
+        for (const entry of due) {
+            // Fails when someone already deleted the message, which is fine
+            await bot.deleteMessage(entry.chatId, entry.messageId).catch(() => {});
+        }
+        
+        const remaining = pendingDeletes.filter((entry) => !due.includes(entry));
+        pendingDeletes.splice(0, pendingDeletes.length, ...remaining);
+        saveJsonFile('pending-deletes.json', pendingDeletes);
+    }
+    
+    // Find a user's registered account, preferring the one linked in this chat
+    function findRegistration(chatId, userId) {
+        if (registrations[chatId] && registrations[chatId][userId]) {
+            return registrations[chatId][userId];
+        }
+        
+        for (const chatRegistrations of Object.values(registrations)) {
+            if (chatRegistrations[userId]) {
+                return chatRegistrations[userId];
+            }
+        }
+        
+        return null;
+    }
+    
+    // Player stats in the reply style of a chat - compact chats get the short card instead of the overview
+    function formatPlayerReply(chatId, player, view, lang = DEFAULT_LANGUAGE) {
+        return getChatSettings(chatId).compact && view === 'overview' ? formatPlayerCard(player, lang) : formatPlayerStats(player, view, lang);
+    }
+    
+    // Utility function to fetch the extra mode a stats view shows, if it is one
+    async function playerForView(player, view, options = {}) {
+        const mode = gameModes.find((item) => item.key === view);
+        return player && mode ? withExtraModes(player, [mode.field], options) : player;
+    }
+    
+    // Guild info in the reply style of a chat
+    function formatGuildReply(chatId, guild, roster, region, lang = DEFAULT_LANGUAGE) {
+        return getChatSettings(chatId).compact ? formatGuildCard(guild, region, lang) : formatGuildInfo(guild, roster, lang);
+    }
+    
+    // An error with tips on what to try next - compact chats get the error only
+    function withTips(chatId, message, tipsKey, lang = DEFAULT_LANGUAGE) {
+        return getChatSettings(chatId).compact ? message : `${message}\n\n${t(lang, tipsKey)}`;
+    }
+    
+    // Check the rate limits of a user and chat and take tokens when allowed
+    // Returns 0 when allowed, otherwise the seconds until enough tokens are back
+    function checkRateLimit(userId, chatId, cost = 1) {
+        const now = Date.now();
+        const buckets = [['user', userId], ['chat', chatId]]
+            .filter(([kind, id]) => id !== null && id !== undefined)
+            .map(([kind, id]) => {
+                const limit = RATE_LIMITS[kind];
+                const key = `${kind}-${id}`;
+                const bucket = rateLimitBuckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+                
+                // Refill for the time since the last request
+                bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.refillPerSecond);
+                bucket.updatedAt = now;
+                rateLimitBuckets.set(key, bucket);
+                
+                return { bucket: bucket, limit: limit };
+            });
+        
+        let retryAfter = 0;
+        for (const { bucket, limit } of buckets) {
+            const needed = Math.min(cost, limit.capacity) - bucket.tokens;
+            if (needed > 0) {
+                retryAfter = Math.max(retryAfter, Math.ceil(needed / limit.refillPerSecond));
+            }
+        }
+        
+        if (retryAfter === 0) {
+            buckets.forEach(({ bucket }) => {
+                bucket.tokens -= cost;
+            });
+        }
+        
+        return retryAfter;
+    }
+    
+    // Drop buckets that refilled completely - they are the same as no bucket
+    function pruneRateLimits() {
+        const now = Date.now();
+        for (const [key, bucket] of rateLimitBuckets.entries()) {
+            if (now - bucket.updatedAt > 10 * 60 * 1000) {
+                rateLimitBuckets.delete(key);
+            }
+        }
+    }
+    
+    // Reply with a friendly notice when a command message is over the rate limit
+    async function replyIfRateLimited(msg, cost = 1) {
+        const retryAfter = checkRateLimit(msg.from ? msg.from.id : null, msg.chat.id, cost);
+        
+        if (retryAfter === 0) {
+            return false;
+        }
+        
+        await sendMarkup(msg.chat.id, t(getUserLanguage(msg.from), 'rateLimit.message', { seconds: retryAfter }));
+        return true;
+    }
+    
+    // Language of a Telegram user: their /language choice, else their Telegram app language
+    function getUserLanguage(user) {
+        if (!user) {
+            return DEFAULT_LANGUAGE;
+        }
+        if (languagePreferences[user.id]) {
+            return languagePreferences[user.id];
+        }
+        const appLanguage = String(user.language_code || '').toLowerCase().split('-')[0];
+        return locales[appLanguage] ? appLanguage : DEFAULT_LANGUAGE;
+    }
+    
+    function setUserLanguage(user, lang) {
+        languagePreferences[user.id] = lang;
+        saveJsonFile('languages.json', languagePreferences);
+    }
+    
+    return {
+        handlers: {
+            start: handleStart,
+            help: handleHelp,
+            regions: handleRegions,
+            language: handleLanguage,
+            settings: handleSettings,
+            digest: handleDigest,
+            stats: handleStats,
+            search: handleSearch,
+            guild: handleGuild,
+            guildstats: handleGuildStats,
+            history: handleHistory,
+            compare: handleCompare,
+            watch: handleWatch,
+            unwatch: handleUnwatch,
+            card: handleCard,
+            export: handleExport,
+            register: handleRegister,
+            unregister: handleUnregister,
+            me: handleMe,
+            leaderboard: handleLeaderboard,
+            scrim: handleScrim,
+            refresh: handleRefresh,
+            status: handleStatus,
+            callbackQuery: handleCallbackQuery,
+            inlineQuery: handleInlineQuery
+        },
+        checkWatchlist,
+        sendDueDigests,
+        deleteExpiredMessages,
+        pruneRateLimits
+    };
+}
+
+// Function to route the updates of a Telegram client to the handlers
+// Returns settled(), which resolves once every update received so far is fully handled
+function registerHandlers(bot, handlers, metrics) {
+    const pending = new Set();
+    const track = (task) => {
+        const promise = Promise.resolve()
+            .then(task)
+            .catch((error) => {
+                console.error('Unhandled error in handler:', error);
+                metrics.errors.inc('handler');
+            })
+            .finally(() => pending.delete(promise));
+        pending.add(promise);
+    };
+    
+    Object.entries(commandPatterns).forEach(([command, pattern]) => {
+        bot.onText(pattern, (msg, match) => track(() => handlers[command](msg, match)));
+    });
+    bot.on('callback_query', (query) => track(() => handlers.callbackQuery(query)));
+    bot.on('inline_query', (query) => track(() => handlers.inlineQuery(query)));
+    
+    // Count every update for /metrics
+    bot.on('message', (msg) => {
+        metrics.updates.inc('message');
+        
+        const command = (msg.text || '').match(/^\/(\w+)/);
+        if (command) {
+            metrics.commands.inc(botCommands.includes(command[1].toLowerCase()) ? command[1].toLowerCase() : 'unknown');
+        }
+    });
+    bot.on('callback_query', () => metrics.updates.inc('callback_query'));
+    bot.on('inline_query', () => metrics.updates.inc('inline_query'));
+    
+    // Error handling
+    bot.on('polling_error', (error) => {
+        console.error('Polling error:', error);
+        metrics.errors.inc('polling');
+    });
+    
+    return async function settled() {
+        while (pending.size > 0) {
+            await Promise.all([...pending]);
+        }
+    };
+}
+
+module.exports = {
+    WATCH_CHECK_INTERVAL,
+    botCommands,
+    commandPatterns,
+    createHandlers,
+    registerHandlers
+};
@@ -0,0 +1,101 @@
+// Message catalogs and locale-aware formatting
+// One JSON catalog per language in locales/, English is the fallback for missing keys
+
+const fs = require('fs');
+const path = require('path');
+
+// Fallback language, for users whose Telegram app language has no catalog
+const DEFAULT_LANGUAGE = 'en';
+const locales = loadLocales(path.join(__dirname, '..', 'locales'));
+
+// Utility function to format how long ago a timestamp was
+function formatAge(timestamp, lang = DEFAULT_LANGUAGE) {
+    const minutes = Math.max(1, Math.round((Date.now() - timestamp) / 60000));
+    if (minutes < 60) {
+        return t(lang, 'age.minutes', { count: minutes });
+    }
+    const hours = Math.round(minutes / 60);
+    return hours < 48 ? t(lang, 'age.hours', { count: hours }) : t(lang, 'age.days', { count: Math.round(hours / 24) });
+}
+
+// Utility function to format a duration in seconds as minutes and seconds
+function formatDuration(seconds, lang = DEFAULT_LANGUAGE) {
+    const total = Math.round(seconds || 0);
+    return t(lang, 'duration.minutesSeconds', { minutes: Math.floor(total / 60), seconds: total % 60 });
+}
+
+// Utility function to format numbers, shortened from 1000 up ("12.5K", "12.5 हज़ार", "12,5 mil")
+function formatNumber(num, lang = DEFAULT_LANGUAGE) {
+    const value = Number(num) || 0;
+    const options = Math.abs(value) >= 1000 ? { notation: 'compact', maximumFractionDigits: 1 } : {};
+    return new Intl.NumberFormat(t(lang, 'meta.locale'), options).format(value);
+}
+
+// Utility function to format a number with a fixed number of decimals, e.g. K/D and win rates
+function formatDecimal(num, digits, lang = DEFAULT_LANGUAGE) {
+    return new Intl.NumberFormat(t(lang, 'meta.locale'), {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(parseFloat(num) || 0);
+}
+
+// Utility function to format a timestamp in milliseconds as a date in the user's locale
+function formatDate(timestamp, lang = DEFAULT_LANGUAGE, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(t(lang, 'meta.locale'), options).format(new Date(timestamp));
+}
+
+// Read every message catalog in a directory, keyed by language code
+function loadLocales(directory) {
+    const catalogs = {};
+    fs.readdirSync(directory)
+        .filter((fileName) => fileName.endsWith('.json'))
+        .sort()
+        .forEach((fileName) => {
+            catalogs[path.basename(fileName, '.json')] = JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'));
+        });
+    return catalogs;
+}
+
+// Look up a message in a language, falling back to English and then to the key itself
+// {name} placeholders are filled from params
+function t(lang, key, params = {}) {
+    const catalog = locales[lang] || locales[DEFAULT_LANGUAGE];
+    const template = catalog[key] ?? locales[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+// Translate a key, or use fallback when no catalog has it
+function catalogOr(lang, key, fallback) {
+    const text = t(lang, key);
+    return text === key ? fallback : text;
+}
+
+// Display name of a region - from the message catalogs, else from the configured regions
+function regionName(code, regions, lang = DEFAULT_LANGUAGE) {
+    const region = regions.find((item) => item.code === code);
+    return catalogOr(lang, `region.${code}`, region ? region.name : code);
+}
+
+// Reply for a command called without its required arguments
+function invalidFormatMessage(lang, promptKey, usages, examples = []) {
+    const codeLines = (lines) => lines.map((line) => `\`${line}\``).join('\n');
+    let message = `❌ **${t(lang, 'error.invalidFormat')}**\n\n${t(lang, promptKey)}\n${codeLines(usages)}\n\n`;
+    if (examples.length > 0) {
+        message += `**${t(lang, 'common.example')}**\n${codeLines(examples)}\n\n`;
+    }
+    return message + t(lang, 'common.helpHint');
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    locales,
+    t,
+    catalogOr,
+    regionName,
+    invalidFormatMessage,
+    formatAge,
+    formatDuration,
+    formatNumber,
+    formatDecimal,
+    formatDate
+};
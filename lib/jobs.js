@@ -0,0 +1,87 @@
+// Background jobs - each runs on its own interval and never overlaps itself
+// With a storage, the last run of every job is kept in jobs.json so a restart carries
+// on where the previous process stopped: a job that came due while the bot was down
+// runs right away, the others wait out the rest of their interval.
+
+const JOBS_FILE = 'jobs.json';
+
+// Jobs running more often than this are not kept - after a restart they wait one short
+// interval anyway, and writing jobs.json on every run of them is wasted disk activity
+const PERSIST_MIN_INTERVAL = 10 * 60 * 1000;
+
+// Function to create the job scheduler of one bot instance
+function createScheduler(storage = null) {
+    const scheduledJobs = new Map();
+    const lastRuns = storage ? storage.loadJsonFile(JOBS_FILE, {}) : {};
+    
+    function scheduleJob(name, interval, task) {
+        const job = { name: name, interval: interval, running: false, lastRun: lastRuns[name] || null };
+        
+        job.run = async () => {
+            if (job.running) {
+                console.log(`Job ${name} is still running, skipping this tick`);
+                return;
+            }
+            
+            job.running = true;
+            try {
+                await task();
+                job.lastRun = Date.now();
+                if (storage && interval >= PERSIST_MIN_INTERVAL) {
+                    lastRuns[name] = job.lastRun;
+                    storage.saveJsonFile(JOBS_FILE, lastRuns);
+                }
+            } catch (error) {
+                console.error(`Job ${name} failed:`, error);
+            } finally {
+                job.running = false;
+            }
+        };
+        
+        const firstDelay = job.lastRun ? Math.max(0, job.lastRun + interval - Date.now()) : interval;
+        job.timer = setTimeout(() => {
+            job.timer = setInterval(job.run, interval);
+            job.run();
+        }, firstDelay);
+        
+        scheduledJobs.set(name, job);
+    }
+    
+    // Run a job right away, outside its interval
+    function runJob(name) {
+        return scheduledJobs.get(name).run();
+    }
+    
+    // Timeouts and intervals share their timer objects, so one clear covers both
+    function stopJobs() {
+        for (const job of scheduledJobs.values()) {
+            clearTimeout(job.timer);
+        }
+    }
+    
+    return {
+        jobs: scheduledJobs,
+        scheduleJob,
+        runJob,
+        stopJobs
+    };
+}
+
+// Function to find the next time a clock time comes round after a moment
+// hour and minute are in the bot's time zone (TZ), weekday is 0 (Sunday) to 6, or null for every day
+function nextTimeOfDay(hour, minute, weekday = null, after = Date.now()) {
+    const next = new Date(after);
+    next.setHours(hour, minute, 0, 0);
+    if (next.getTime() <= after) {
+        next.setDate(next.getDate() + 1);
+    }
+    while (weekday !== null && next.getDay() !== weekday) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+}
+
+module.exports = {
+    createScheduler,
+    nextTimeOfDay
+};
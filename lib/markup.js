@@ -0,0 +1,83 @@
+// Message markup of the bot - see renderMarkup for the syntax
+
+// Render the bot's message markup for Telegram
+// Messages are written with **bold**, *italic*, `code` and ```pre``` blocks and a
+// backslash escapes the next character. format 'html' gives Telegram HTML with
+// every tag closed, format 'plain' drops the markup. Text from players, guilds
+// and errors must go through escapeMarkup before it is put into a message.
+function renderMarkup(text, format = 'html') {
+    const html = format === 'html';
+    const escapeHtml = (value) => html ? value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') : value;
+    const openTags = [];
+    let output = '';
+    let index = 0;
+    
+    // Literal text up to a closing code marker, honouring backslash escapes
+    const readCode = (marker) => {
+        let code = '';
+        while (index < text.length && !text.startsWith(marker, index)) {
+            if (text[index] === '\\' && index + 1 < text.length) {
+                index++;
+            }
+            code += text[index];
+            index++;
+        }
+        index += marker.length;
+        return code;
+    };
+    
+    // Open a tag, or close it together with anything opened inside it and reopen those
+    const toggle = (tag) => {
+        const position = openTags.lastIndexOf(tag);
+        if (position === -1) {
+            openTags.push(tag);
+            output += html ? `<${tag}>` : '';
+            return;
+        }
+        const closed = openTags.splice(position);
+        output += html ? closed.slice().reverse().map((name) => `</${name}>`).join('') : '';
+        closed.slice(1).forEach((name) => {
+            openTags.push(name);
+            output += html ? `<${name}>` : '';
+        });
+    };
+    
+    while (index < text.length) {
+        if (text[index] === '\\' && index + 1 < text.length) {
+            output += escapeHtml(text[index + 1]);
+            index += 2;
+        } else if (text.startsWith('```', index)) {
+            index += 3;
+            const code = escapeHtml(readCode('```').replace(/^\n/, ''));
+            output += html ? `<pre>${code}</pre>` : code;
+        } else if (text[index] === '`') {
+            index++;
+            const code = escapeHtml(readCode('`'));
+            output += html ? `<code>${code}</code>` : code;
+        } else if (text.startsWith('**', index)) {
+            index += 2;
+            toggle('b');
+        } else if (text[index] === '*') {
+            index++;
+            toggle('i');
+        } else {
+            output += escapeHtml(text[index]);
+            index++;
+        }
+    }
+    
+    if (html) {
+        output += openTags.reverse().map((name) => `</${name}>`).join('');
+    }
+    return output.trim();
+}
+
+// Utility function to make outside text safe to put into a message, e.g. a nickname like "*_Pro_*"
+function escapeMarkup(value) {
+    return String(value ?? '').replace(/[\\`*]/g, '\\$&');
+}
+
+module.exports = {
+    renderMarkup,
+    escapeMarkup
+};
@@ -0,0 +1,87 @@
+// Prometheus counters and histograms served on /metrics
+
+// Function to create the metrics of one bot instance
+function createMetrics() {
+    return {
+        commands: createCounter('ffbot_commands_total', 'Commands handled by type', 'command'),
+        updates: createCounter('ffbot_updates_total', 'Telegram updates handled by type', 'type'),
+        errors: createCounter('ffbot_errors_total', 'Errors by kind', 'kind'),
+        cache: createCounter('ffbot_cache_requests_total', 'Cache lookups by result', 'result'),
+        upstreamRequests: createCounter('ffbot_upstream_requests_total', 'Requests to stats sources by source and outcome', 'source', 'outcome'),
+        upstreamRetries: createCounter('ffbot_upstream_retries_total', 'Requests to stats sources retried after a transient failure', 'source'),
+        circuitTrips: createCounter('ffbot_circuit_trips_total', 'Times a stats source was skipped after repeated failures', 'source'),
+        upstreamLatency: createHistogram('ffbot_upstream_latency_seconds', 'Latency of requests to stats sources', 'source',
+            [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30])
+    };
+}
+
+// Utility function for a Prometheus counter with fixed label names
+function createCounter(name, help, ...labelNames) {
+    const values = new Map();
+    
+    return {
+        inc(...labelValues) {
+            const key = JSON.stringify(labelValues);
+            values.set(key, (values.get(key) || 0) + 1);
+        },
+        get(...labelValues) {
+            return values.get(JSON.stringify(labelValues)) || 0;
+        },
+        render() {
+            let text = `# HELP ${name} ${help}\n# TYPE ${name} counter\n`;
+            for (const [key, value] of values) {
+                text += `${name}${formatMetricLabels(labelNames, JSON.parse(key))} ${value}\n`;
+            }
+            return text;
+        }
+    };
+}
+
+// Utility function for a Prometheus histogram with one label
+function createHistogram(name, help, labelName, buckets) {
+    const series = new Map();
+    
+    return {
+        observe(labelValue, value) {
+            if (!series.has(labelValue)) {
+                series.set(labelValue, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(labelValue);
+            buckets.forEach((bucket, index) => {
+                if (value <= bucket) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            let text = `# HELP ${name} ${help}\n# TYPE ${name} histogram\n`;
+            for (const [labelValue, entry] of series) {
+                buckets.forEach((bucket, index) => {
+                    text += `${name}_bucket${formatMetricLabels([labelName, 'le'], [labelValue, String(bucket)])} ${entry.counts[index]}\n`;
+                });
+                text += `${name}_bucket${formatMetricLabels([labelName, 'le'], [labelValue, '+Inf'])} ${entry.count}\n`;
+                text += `${name}_sum${formatMetricLabels([labelName], [labelValue])} ${entry.sum}\n`;
+                text += `${name}_count${formatMetricLabels([labelName], [labelValue])} ${entry.count}\n`;
+            }
+            return text;
+        }
+    };
+}
+
+// Utility function to format Prometheus labels like {source="x",le="0.5"}
+function formatMetricLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${names.map((name, index) => `${name}="${escape(values[index])}"`).join(',')}}`;
+}
+
+module.exports = {
+    createMetrics,
+    createCounter,
+    createHistogram,
+    formatMetricLabels
+};
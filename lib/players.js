@@ -0,0 +1,363 @@
+// Game model of the bot - modes, the rank ladder and how source data becomes a player
+
+// Game modes a source can report, in tab order - field is the key of the mode
+// in the playerstats response. Career (casual) modes add up to the overview totals.
+const gameModes = [
+    { key: 'solo', field: 'soloStats', icon: '👤', career: true },
+    { key: 'duo', field: 'duoStats', icon: '👫', career: true },
+    { key: 'squad', field: 'quadStats', icon: '👥', career: true },
+    { key: 'ranked', field: 'rankedStats', icon: '🏆', career: false },
+    { key: 'cs', field: 'csStats', icon: '🔫', career: false }
+];
+
+// Words accepted by /stats to open one mode, mapped to the stats tab
+const modeAliases = {
+    overview: 'overview',
+    career: 'overview',
+    casual: 'overview',
+    solo: 'solo',
+    duo: 'duo',
+    squad: 'squad',
+    quad: 'squad',
+    ranked: 'ranked',
+    cs: 'cs',
+    clash: 'cs',
+    clashsquad: 'cs'
+};
+
+// Ranked ladder from lowest to highest tier, shared by Battle Royale (br) and
+// Clash Squad (cs). id is the rank code the primary API reports - the codes are
+// only used for lookup, the order of the ladder is the order of this table.
+// minPoints holds the ranking points each tier starts at in either mode.
+const rankTiers = [
+    { id: 205, name: 'Bronze III', minPoints: { br: 1000, cs: 1000 } },
+    { id: 206, name: 'Bronze II', minPoints: { br: 1100, cs: 1075 } },
+    { id: 207, name: 'Bronze I', minPoints: { br: 1200, cs: 1150 } },
+    { id: 208, name: 'Silver III', minPoints: { br: 1300, cs: 1225 } },
+    { id: 209, name: 'Silver II', minPoints: { br: 1400, cs: 1300 } },
+    { id: 210, name: 'Silver I', minPoints: { br: 1500, cs: 1375 } },
+    { id: 211, name: 'Gold III', minPoints: { br: 1600, cs: 1450 } },
+    { id: 212, name: 'Gold II', minPoints: { br: 1725, cs: 1550 } },
+    { id: 213, name: 'Gold I', minPoints: { br: 1850, cs: 1650 } },
+    { id: 214, name: 'Platinum III', minPoints: { br: 1975, cs: 1750 } },
+    { id: 215, name: 'Platinum II', minPoints: { br: 2100, cs: 1850 } },
+    { id: 216, name: 'Platinum I', minPoints: { br: 2225, cs: 1950 } },
+    { id: 217, name: 'Diamond III', minPoints: { br: 2350, cs: 2050 } },
+    { id: 218, name: 'Diamond II', minPoints: { br: 2500, cs: 2200 } },
+    { id: 219, name: 'Diamond I', minPoints: { br: 2650, cs: 2350 } },
+    { id: 221, name: 'Heroic', minPoints: { br: 3200, cs: 2500 } },
+    { id: 220, name: 'Grandmaster', minPoints: { br: 4000, cs: 3200 } }
+];
+
+// Function to combine player data from multiple endpoints
+function combinePlayerData(accountData, statsData, uid, region) {
+    const basicInfo = accountData.basicInfo || {};
+    const soloStats = statsData?.soloStats || {};
+    const quadStats = statsData?.quadStats || {};
+    
+    // Totals cover the career (casual) modes only - ranked and Clash Squad
+    // are reported separately so nothing is counted twice
+    const career = sumModeStats(gameModes
+        .filter((mode) => mode.career)
+        .map((mode) => statsData?.[mode.field] || {}));
+    const totalMatches = career.gamesPlayed;
+    const totalWins = career.wins;
+    const totalKills = career.kills;
+    const totalDeaths = career.detailedStats.deaths || 0;
+    
+    const winRate = totalMatches > 0 ? ((totalWins / totalMatches) * 100).toFixed(1) : '0.0';
+    const kdRatio = totalDeaths > 0 ? (totalKills / totalDeaths).toFixed(2) : totalKills.toString();
+    
+    // Convert rank codes to readable names for both ranked modes
+    const brRanks = resolveRanks(basicInfo.rank, basicInfo.maxRank, basicInfo.rankingPoints, 'br');
+    const csRanks = basicInfo.csRank ? resolveRanks(basicInfo.csRank, basicInfo.csMaxRank, basicInfo.csRankingPoints, 'cs') : null;
+    
+    return {
+        nickname: basicInfo.nickname || 'Unknown',
+        uid: basicInfo.accountId || uid,
+        level: basicInfo.level || 0,
+        region: basicInfo.region || region,
+        likes: basicInfo.liked || 0,
+        rank: brRanks.rank,
+        rankingPoints: basicInfo.rankingPoints || 0,
+        kdRatio: kdRatio,
+        totalMatches: totalMatches,
+        totalWins: totalWins,
+        winRate: winRate,
+        totalKills: totalKills,
+        headshots: career.detailedStats.headshots || 0,
+        damage: career.detailedStats.damage || 0,
+        maxRank: brRanks.maxRank,
+        // null when the source does not report a Clash Squad rank
+        csRank: csRanks ? csRanks.rank : null,
+        csRankingPoints: basicInfo.csRankingPoints || 0,
+        csMaxRank: csRanks ? csRanks.maxRank : null,
+        badgeCount: basicInfo.badgeCnt || 0,
+        clanInfo: accountData.clanBasicInfo || null,
+        lastLoginAt: basicInfo.lastLoginAt ? parseInt(basicInfo.lastLoginAt) * 1000 : null,
+        soloStats: soloStats,
+        quadStats: quadStats,
+        // null when the source does not report the mode at all
+        duoStats: statsData?.duoStats || null,
+        rankedStats: statsData?.rankedStats || null,
+        csStats: statsData?.csStats || null
+    };
+}
+
+// Function to find the tier of a rank code or name in rankTiers
+// Unknown codes fall back to the tier the ranking points belong to
+function findRankTier(rank, points = 0, mode = 'br') {
+    if (typeof rank === 'string' && isNaN(rank)) {
+        // Scraped sources give the rank as text, sometimes as "Grand Master"
+        const name = rank.toLowerCase().replace(/\s+/g, ' ').replace('grand master', 'grandmaster');
+        return rankTiers.find((tier) => tier.name.toLowerCase() === name) || null;
+    }
+    
+    const byCode = rankTiers.find((tier) => tier.id === Number(rank));
+    if (byCode || !points) {
+        return byCode || null;
+    }
+    return [...rankTiers].reverse().find((tier) => points >= tier.minPoints[mode]) || rankTiers[0];
+}
+
+// Function to name the current and max rank of one ranked mode
+// The max rank is never shown below the current rank, even when a source reports it lower or not at all
+function resolveRanks(rank, maxRank, points, mode) {
+    const current = findRankTier(rank, points, mode);
+    const max = findRankTier(maxRank, 0, mode);
+    const rawName = (value, fallback) => (typeof value === 'string' && isNaN(value) ? value : fallback);
+    
+    let maxName = rawName(maxRank, 'Unknown');
+    if (max && (!current || rankTiers.indexOf(max) >= rankTiers.indexOf(current))) {
+        maxName = max.name;
+    } else if (current) {
+        maxName = current.name;
+    }
+    
+    return {
+        rank: current ? current.name : rawName(rank, `Rank ${rank || 'Unknown'}`),
+        maxRank: maxName
+    };
+}
+
+// Function to work out how far into its tier a rank is
+// Returns null for ranks outside rankTiers, next is null at the top of the ladder
+function rankProgress(rankName, points, mode = 'br') {
+    const tier = findRankTier(rankName, 0, mode);
+    if (!tier) {
+        return null;
+    }
+    
+    const next = rankTiers[rankTiers.indexOf(tier) + 1] || null;
+    if (!next) {
+        return { tier: tier, next: null, pointsToNext: 0, fraction: 1 };
+    }
+    
+    const start = tier.minPoints[mode];
+    const end = next.minPoints[mode];
+    return {
+        tier: tier,
+        next: next,
+        pointsToNext: Math.max(0, end - (points || 0)),
+        fraction: Math.min(1, Math.max(0, ((points || 0) - start) / (end - start)))
+    };
+}
+
+// The fields of a player the watchlist notifies about
+function watchState(player) {
+    return {
+        rank: player.rank,
+        maxRank: player.maxRank,
+        level: player.level,
+        rankingPoints: player.rankingPoints,
+        guild: player.clanInfo ? player.clanInfo.clanName : null
+    };
+}
+
+// The counters of a player a scrim compares between its start and its end
+function scrimState(player) {
+    return {
+        kills: player.totalKills || 0,
+        wins: player.totalWins || 0,
+        matches: player.totalMatches || 0
+    };
+}
+
+// Function to rank the players of a scrim by what they did during it
+// entries are { nickname, start, end } with start and end from scrimState. Most kills
+// come first, then most wins, then fewest matches. A counter never goes below 0, in
+// case the source at the end reports lower totals than the one at the start.
+function rankScrimResults(entries) {
+    return entries
+        .map((entry) => ({
+            ...entry,
+            kills: Math.max(0, entry.end.kills - entry.start.kills),
+            wins: Math.max(0, entry.end.wins - entry.start.wins),
+            matches: Math.max(0, entry.end.matches - entry.start.matches)
+        }))
+        .sort((a, b) => b.kills - a.kills || b.wins - a.wins || a.matches - b.matches);
+}
+
+// Function to pick what a digest reports from pairs of stored snapshots
+// entries are { nickname, before, after } - the last snapshot before the digest period
+// and the latest one. Returns the top ranking point gains and K/D moves, every level-up
+// and every guild change. Snapshots saved before guilds were stored have no guild field.
+function digestHighlights(entries, limit = 3) {
+    const changes = entries.map((entry) => ({
+        nickname: entry.nickname,
+        before: entry.before,
+        after: entry.after,
+        points: (entry.after.rankingPoints || 0) - (entry.before.rankingPoints || 0),
+        levels: (entry.after.level || 0) - (entry.before.level || 0),
+        kd: (entry.after.kdRatio || 0) - (entry.before.kdRatio || 0)
+    }));
+    
+    return {
+        pointGains: changes.filter((change) => change.points > 0).sort((a, b) => b.points - a.points).slice(0, limit),
+        levelUps: changes.filter((change) => change.levels > 0).sort((a, b) => b.levels - a.levels),
+        kdMovers: changes.filter((change) => Math.abs(change.kd) >= 0.01).sort((a, b) => Math.abs(b.kd) - Math.abs(a.kd)).slice(0, limit),
+        guildChanges: changes.filter((change) => 'guild' in change.before && 'guild' in change.after && change.before.guild !== change.after.guild)
+    };
+}
+
+// Every known member of a guild with their role, captain first
+function guildMemberIds(guild) {
+    const members = new Map();
+    const add = (value, role) => {
+        // Sources list members either as plain IDs or as objects
+        const uid = String(typeof value === 'object' && value !== null ? (value.accountId || value.uid || '') : value || '');
+        if (uid && uid !== '0' && !members.has(uid)) {
+            members.set(uid, { uid: uid, role: role });
+        }
+    };
+    
+    add(guild.captainId, 'captain');
+    [].concat(guild.deputyCaptain || guild.deputyCaptains || []).forEach((uid) => add(uid, 'deputy'));
+    [].concat(guild.members || guild.memberList || []).forEach((uid) => add(uid, 'member'));
+    
+    return [...members.values()];
+}
+
+// Score how well a nickname matches the query, from 0 (no match) to 1 (exact)
+function nicknameMatchScore(query, nickname) {
+    const normalize = (value) => String(value || '').toLowerCase().normalize('NFKD').replace(/[^\p{L}\p{N}]/gu, '');
+    const a = normalize(query);
+    const b = normalize(nickname);
+    
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+    if (b.startsWith(a)) {
+        return 0.9;
+    }
+    if (b.includes(a)) {
+        return 0.8;
+    }
+    
+    // Fall back to edit distance for typos
+    const distance = levenshteinDistance(a, b);
+    return Math.max(0, 1 - distance / Math.max(a.length, b.length)) * 0.75;
+}
+
+// Utility function for the edit distance between two strings
+function levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+// Utility function to parse scraped numbers like "1,234", "12.5K" or "3.1M"
+function parseStatNumber(value) {
+    const match = String(value || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KM])?/i);
+    if (!match) {
+        return 0;
+    }
+    const multiplier = { K: 1000, M: 1000000 }[(match[2] || '').toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Utility function for a ratio that is 0 when the divisor is 0
+function ratio(value, divisor) {
+    return divisor > 0 ? (value || 0) / divisor : 0;
+}
+
+// Utility function to add up several per-mode stats into one
+function sumModeStats(modes) {
+    const total = { gamesPlayed: 0, wins: 0, kills: 0, detailedStats: {} };
+    
+    for (const stats of modes) {
+        total.gamesPlayed += stats.gamesPlayed || 0;
+        total.wins += stats.wins || 0;
+        total.kills += stats.kills || 0;
+        
+        for (const [name, value] of Object.entries(stats.detailedStats || {})) {
+            if (typeof value === 'number') {
+                total.detailedStats[name] = (total.detailedStats[name] || 0) + value;
+            }
+        }
+    }
+    
+    return total;
+}
+
+// Utility functions for per-mode stats as returned in soloStats/quadStats
+function modeKdRatio(stats) {
+    const kills = stats?.kills || 0;
+    const deaths = stats?.detailedStats?.deaths || 0;
+    return deaths > 0 ? kills / deaths : kills;
+}
+
+function modeWinRate(stats) {
+    return ratio(stats?.wins, stats?.gamesPlayed) * 100;
+}
+
+// Utility function to map over items with at most `limit` calls running at once
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+module.exports = {
+    gameModes,
+    modeAliases,
+    rankTiers,
+    combinePlayerData,
+    findRankTier,
+    resolveRanks,
+    rankProgress,
+    watchState,
+    scrimState,
+    rankScrimResults,
+    digestHighlights,
+    guildMemberIds,
+    nicknameMatchScore,
+    levenshteinDistance,
+    parseStatNumber,
+    ratio,
+    sumModeStats,
+    modeKdRatio,
+    modeWinRate,
+    mapWithConcurrency
+};
@@ -0,0 +1,125 @@
+// Expected shapes of the stats source responses
+// A schema is { type, fields, optional, errorBody } where type is 'object', 'string',
+// 'number' or 'numeric' (a number, or a string of digits as the primary
+// API sends IDs and timestamps). errorBody accepts { error: "..." } in place of the
+// object, which is how the primary API says a player or guild does not exist.
+
+// Per-mode stats are added up, so the counters must be real numbers
+const modeStatsSchema = {
+    type: 'object',
+    optional: true,
+    fields: {
+        gamesPlayed: { type: 'number', optional: true },
+        wins: { type: 'number', optional: true },
+        kills: { type: 'number', optional: true },
+        detailedStats: { type: 'object', optional: true }
+    }
+};
+
+// GET /account - a missing basicInfo must not turn into an "Unknown, level 0" player
+const accountSchema = {
+    type: 'object',
+    errorBody: true,
+    fields: {
+        basicInfo: {
+            type: 'object',
+            fields: {
+                accountId: { type: 'numeric' },
+                nickname: { type: 'string' },
+                level: { type: 'numeric' },
+                region: { type: 'string', optional: true },
+                liked: { type: 'numeric', optional: true },
+                rank: { type: 'numeric', optional: true },
+                rankingPoints: { type: 'numeric', optional: true },
+                maxRank: { type: 'numeric', optional: true },
+                csRank: { type: 'numeric', optional: true },
+                csRankingPoints: { type: 'numeric', optional: true },
+                csMaxRank: { type: 'numeric', optional: true },
+                badgeCnt: { type: 'numeric', optional: true },
+                lastLoginAt: { type: 'numeric', optional: true }
+            }
+        },
+        clanBasicInfo: {
+            type: 'object',
+            optional: true,
+            fields: {
+                clanId: { type: 'numeric', optional: true },
+                clanName: { type: 'string' },
+                clanLevel: { type: 'numeric', optional: true },
+                memberNum: { type: 'numeric', optional: true }
+            }
+        }
+    }
+};
+
+// GET /playerstats, also with the ranked and Clash Squad parameters
+const playerStatsSchema = {
+    type: 'object',
+    errorBody: true,
+    fields: {
+        soloStats: modeStatsSchema,
+        duoStats: modeStatsSchema,
+        quadStats: modeStatsSchema,
+        csStats: modeStatsSchema
+    }
+};
+
+// GET /guildInfo
+const guildSchema = {
+    type: 'object',
+    errorBody: true,
+    fields: {
+        clanId: { type: 'numeric' },
+        clanName: { type: 'string' },
+        clanLevel: { type: 'numeric', optional: true },
+        capacity: { type: 'numeric', optional: true },
+        memberNum: { type: 'numeric', optional: true },
+        captainId: { type: 'numeric', optional: true },
+        createAt: { type: 'numeric', optional: true },
+        slogan: { type: 'string', optional: true }
+    }
+};
+
+// Scraped pages only need to be text, the selectors decide the rest
+const htmlPageSchema = { type: 'string' };
+
+// Function to check a value against a schema
+// Returns what is wrong with it, e.g. ["response.basicInfo.nickname is missing"], or [] when nothing is
+function validateSchema(value, schema, where = 'response') {
+    if (value === undefined || value === null) {
+        return schema.optional ? [] : [`${where} is missing`];
+    }
+    
+    const isObject = typeof value === 'object' && !Array.isArray(value);
+    
+    switch (schema.type) {
+        case 'object': {
+            if (!isObject) {
+                return [`${where} is not an object`];
+            }
+            if (schema.errorBody && typeof value.error === 'string') {
+                return [];
+            }
+            return Object.entries(schema.fields || {})
+                .flatMap(([name, fieldSchema]) => validateSchema(value[name], fieldSchema, `${where}.${name}`));
+        }
+        case 'string':
+            return typeof value === 'string' ? [] : [`${where} is not text`];
+        case 'number':
+            return Number.isFinite(value) ? [] : [`${where} is not a number`];
+        case 'numeric':
+            return Number.isFinite(value) || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value))
+                ? []
+                : [`${where} is not a number`];
+        default:
+            return [];
+    }
+}
+
+module.exports = {
+    accountSchema,
+    playerStatsSchema,
+    guildSchema,
+    htmlPageSchema,
+    validateSchema
+};
@@ -0,0 +1,136 @@
+// HTTP server of the bot
+// Keeps the Render web service awake, serves /healthz and /metrics and receives
+// Telegram updates in webhook mode
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_UPDATE_SIZE = 1024 * 1024; // 1 MB
+
+// Function to create the HTTP server - app.start() makes it listen
+// healthReport and renderMetrics come from the app, webhook updates go to bot
+function createServer({ config, bot, metrics, healthReport, renderMetrics }) {
+    const BOT_MODE = config.mode;
+    const WEBHOOK_SECRET = config.webhook.secret;
+    const WEBHOOK_PATH = config.webhook.path;
+    const METRICS_TOKEN = config.metricsToken;
+    
+    // IDs of recently processed updates - Telegram redelivers when a reply is slow
+    const recentUpdateIds = new Set();
+    
+    const server = http.createServer((req, res) => {
+        const pathname = req.url.split('?')[0];
+        
+        if (BOT_MODE === 'webhook' && req.url === WEBHOOK_PATH) {
+            handleWebhookRequest(req, res);
+            return;
+        }
+        
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        
+        // Source reachability - 503 only when no source can be reached at all
+        if (pathname === '/healthz') {
+            const report = healthReport();
+            res.writeHead(report.status === 'down' ? 503 : 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(report, null, 2));
+            return;
+        }
+        
+        if (pathname === '/metrics') {
+            if (METRICS_TOKEN && !sameSecret(req.headers.authorization || '', `Bearer ${METRICS_TOKEN}`)) {
+                res.writeHead(401, { 'Content-Type': 'text/plain' });
+                res.end('Unauthorized');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(renderMetrics());
+            return;
+        }
+        
+        // Keep-alive pings may use any path
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Bot is alive!');
+    });
+    
+    // Receive one update posted by Telegram
+    function handleWebhookRequest(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'text/plain' });
+            res.end('Method not allowed');
+            return;
+        }
+        
+        if (!sameSecret(req.headers['x-telegram-bot-api-secret-token'] || '', WEBHOOK_SECRET)) {
+            res.writeHead(401, { 'Content-Type': 'text/plain' });
+            res.end('Unauthorized');
+            return;
+        }
+        
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_UPDATE_SIZE) {
+                res.writeHead(413, { 'Content-Type': 'text/plain' });
+                res.end('Payload too large');
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        
+        req.on('end', () => {
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                update = null;
+            }
+            
+            // Valid JSON is not necessarily an update - null or a list would crash the code below
+            if (!update || typeof update !== 'object' || !Number.isInteger(update.update_id)) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('Bad request');
+                return;
+            }
+            
+            // Answer right away so Telegram does not retry while a command is still running
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('OK');
+            
+            if (recentUpdateIds.has(update.update_id)) {
+                return;
+            }
+            recentUpdateIds.add(update.update_id);
+            if (recentUpdateIds.size > 1000) {
+                recentUpdateIds.delete(recentUpdateIds.values().next().value);
+            }
+            
+            try {
+                bot.processUpdate(update);
+            } catch (error) {
+                console.error('Error processing update:', error);
+                metrics.errors.inc('update');
+            }
+        });
+    }
+    
+    return server;
+}
+
+// Utility function to compare a secret from a request in constant time
+// Digests of both are always 32 bytes, so timingSafeEqual cannot throw on a header
+// whose byte length differs from its length in characters
+function sameSecret(received, expected) {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(received), digest(expected));
+}
+
+module.exports = {
+    createServer
+};
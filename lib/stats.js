@@ -0,0 +1,515 @@
+// Client for the stats sources - fetches players and guilds through the configured
+// sources with caching, on top of the shared upstream client (see upstream.js)
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const path = require('path');
+const { createMemoryCache, createDiskCache } = require('./cache');
+const { createMetrics } = require('./metrics');
+const { createStorage } = require('./storage');
+const { createUpstreamClient } = require('./upstream');
+const { accountSchema, playerStatsSchema, guildSchema, htmlPageSchema } = require('./schemas');
+const { combinePlayerData, guildMemberIds, nicknameMatchScore, parseStatNumber, sumModeStats, mapWithConcurrency } = require('./players');
+
+// How many guild members are looked up at the same time
+const GUILD_FETCH_CONCURRENCY = 4;
+
+// Most members a guild lookup resolves, leaders first - every member is an upstream request
+// on a cache miss, so a single command stays at a bounded number of them
+const GUILD_MEMBER_LIMIT = 50;
+
+// Function to create a stats client
+// http is anything with an axios-style get(url, options) - tests pass a fake one
+function createStatsClient({
+    config,
+    http = axios,
+    storage = createStorage(config.dataDir),
+    metrics = createMetrics(),
+    upstream = createUpstreamClient({ config, http, metrics })
+}) {
+    const statsSources = config.sources;
+    const DEFAULT_REGION = config.defaultRegion;
+    
+    // Cache system for fetched players and guilds
+    const CACHE_TTLS = config.cache.ttl;
+    const CACHE_STALE_MAX_AGE = config.cache.staleMaxAge;
+    const CACHE_STALE_WAIT = config.cache.staleWait;
+    const statsCache = config.cache.backend === 'disk'
+        ? createDiskCache(path.join(config.dataDir, 'cache'), config.cache.maxEntries)
+        : createMemoryCache(config.cache.maxEntries);
+    
+    // Local index of every player resolved through /stats, keyed by UID and region
+    const playerIndex = new Map(Object.entries(storage.loadJsonFile('player-index.json', {})));
+    
+    // Promises of fetches that are still running, keyed by what they fetch
+    const inFlightRequests = new Map();
+    
+    // Source adapters - one per response format. Each adapter fetches a player
+    // from its source and returns { accountData, statsData } in the primary API
+    // shape so combinePlayerData can normalize every source the same way.
+    // Adapters return null when the source says the player does not exist and
+    // throw on any other failure.
+    const sourceAdapters = {
+        json: fetchPlayerFromJsonSource,
+        html: fetchPlayerFromHtmlSource
+    };
+    
+    // Function to fetch player stats from multiple sources
+    // Sources are tried in order of reliability until one of them answers
+    async function fetchPlayerStats(uid, region, options = {}) {
+        const cacheKey = `stats-${uid}-${region}`;
+        
+        // Users asking for the same player at the same time share one fetch
+        return cachedFetch(cacheKey, 'player', options, () => sharedInFlight(cacheKey, () => fetchPlayerStatsFromSources(uid, region)));
+    }
+    
+    async function fetchPlayerStatsFromSources(uid, region) {
+        const sources = [...statsSources].sort((a, b) => b.reliability - a.reliability);
+        const failures = [];
+        
+        for (const source of sources) {
+            const adapter = sourceAdapters[source.responseFormat];
+            if (!adapter) {
+                continue;
+            }
+            
+            try {
+                const result = await adapter(source, uid, region);
+                
+                if (!result) {
+                    console.log(`${source.name}: player ${uid} not found`);
+                    continue;
+                }
+                
+                // Combine data
+                const combinedData = combinePlayerData(result.accountData, result.statsData, uid, region);
+                combinedData.source = source.name;
+                // Modes the source only has behind extra requests, fetched by withExtraModes when shown
+                combinedData.extraModes = (source.extraStats || []).map((extra) => extra.field);
+                
+                rememberPlayer(combinedData);
+                storage.savePlayerSnapshot(combinedData);
+                
+                console.log(`Fetched ${uid} from ${source.name}`);
+                return combinedData;
+                
+            } catch (error) {
+                console.error(`${source.name} failed: ${error.message}`);
+                failures.push(source.name);
+            }
+        }
+        
+        // A source that errored out might have had the player - report it instead of pretending the player does not exist
+        if (failures.length === sources.length) {
+            throw new Error(`All stats sources are unavailable (${failures.join(', ')})`);
+        }
+        if (failures.length > 0) {
+            throw new Error(`Stats sources are unavailable (${failures.join(', ')}) and no other source has player ${uid}`);
+        }
+        
+        return null;
+    }
+    
+    // Build the URL of a source endpoint from its template, e.g. "/account?region={region}&uid={uid}"
+    function sourceUrl(source, endpoint, values) {
+        const filled = source.endpoints[endpoint].replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = name === 'region' ? values.region || DEFAULT_REGION : values[name];
+            return encodeURIComponent(value);
+        });
+        return source.baseUrl + filled;
+    }
+    
+    // Request options for a call to a stats source, with the schema its answer must match
+    function upstreamOptions(source, accept, schema) {
+        return {
+            headers: {
+                'User-Agent': config.http.userAgent,
+                'Accept': accept
+            },
+            timeout: source.timeout || config.http.timeout,
+            schema: schema
+        };
+    }
+    
+    // Adapter for JSON APIs shaped like the primary Free FF API
+    // Account and career stats are requested at the same time, the extra modes only when shown
+    async function fetchPlayerFromJsonSource(source, uid, region) {
+        const accountUrl = sourceUrl(source, 'account', { uid, region });
+        const statsUrl = sourceUrl(source, 'playerStats', { uid, region });
+        
+        const [accountResult, statsResult] = await Promise.allSettled([
+            upstream.get(accountUrl, upstreamOptions(source, 'application/json', accountSchema)),
+            upstream.get(statsUrl, upstreamOptions(source, 'application/json', playerStatsSchema))
+        ]);
+        
+        // An unknown player is reported by the account endpoint, whatever the others said
+        if (accountResult.status === 'rejected') {
+            throw accountResult.reason;
+        }
+        const accountData = accountResult.value.data;
+        if (accountData.error) {
+            return null;
+        }
+        
+        if (statsResult.status === 'rejected') {
+            throw statsResult.reason;
+        }
+        return {
+            accountData: accountData,
+            statsData: { ...statsResult.value.data }
+        };
+    }
+    
+    // Function to add the modes a source only reports through extra requests (ranked, Clash Squad)
+    // Each is one more upstream request, so only the views showing a mode ask for it
+    // fields picks the modes, all of the player's extraModes by default. Returns a copy of the player.
+    async function withExtraModes(player, fields = player.extraModes || [], options = {}) {
+        const source = statsSources.find((item) => item.name === player.source);
+        const extras = ((source && source.extraStats) || []).filter((extra) => fields.includes(extra.field));
+        if (extras.length === 0) {
+            return player;
+        }
+        
+        const modeStats = await Promise.all(extras.map((extra) => fetchExtraMode(source, extra, player.uid, player.region, options)));
+        // Fetched modes leave extraModes, so a missing one loses its tab
+        const withModes = { ...player, extraModes: (player.extraModes || []).filter((field) => !fields.includes(field)) };
+        extras.forEach((extra, index) => {
+            withModes[extra.field] = modeStats[index];
+        });
+        return withModes;
+    }
+    
+    // Fetch one extra mode of a player, null when the source has none for them
+    // The mode is optional - a failed request only hides it
+    async function fetchExtraMode(source, extra, uid, region, options) {
+        const cacheKey = `${extra.field}-${uid}-${region}`;
+        const url = sourceUrl(source, 'playerStats', { uid, region }) + extra.params;
+        
+        try {
+            // Cached as an object, so a mode the source does not have is remembered too
+            const result = await cachedFetch(cacheKey, 'player', options, () => sharedInFlight(cacheKey, async () => {
+                const response = await upstream.get(url, upstreamOptions(source, 'application/json', playerStatsSchema));
+                return {
+                    stats: response.data.error ? null : sumModeStats(Object.values(response.data).filter((stats) => stats && typeof stats === 'object'))
+                };
+            }));
+            return result.stats;
+        } catch (error) {
+            console.log(`${source.name}: no ${extra.field} for ${uid} (${error.message})`);
+            return null;
+        }
+    }
+    
+    // Adapter for HTML profile pages scraped with cheerio
+    async function fetchPlayerFromHtmlSource(source, uid, region) {
+        const profileUrl = `${source.baseUrl}${source.profilePath}/${encodeURIComponent(uid)}` +
+                           `?region=${encodeURIComponent(region || DEFAULT_REGION)}`;
+        
+        let response;
+        try {
+            response = await upstream.get(profileUrl, upstreamOptions(source, 'text/html', htmlPageSchema));
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+        
+        const $ = cheerio.load(response.data);
+        const selectors = source.selectors;
+        const text = (selector) => $(selector).first().text().trim();
+        
+        const nickname = text(selectors.nickname);
+        if (!nickname) {
+            return null;
+        }
+        
+        // Per-mode tables, e.g. <div class="mode-stats" data-mode="solo">
+        // Top 10 finishes and survival time are only on some tables, so they stay undefined when missing
+        const modeStats = {};
+        $(selectors.modeStats).each((i, element) => {
+            const mode = $(element).attr('data-mode');
+            const cell = (name) => $(element).find(`[data-stat="${name}"]`).first();
+            const stat = (name) => parseStatNumber(cell(name).text());
+            const optionalStat = (name) => cell(name).length > 0 ? stat(name) : undefined;
+            
+            modeStats[mode] = {
+                gamesPlayed: stat('matches'),
+                wins: stat('wins'),
+                kills: stat('kills'),
+                detailedStats: {
+                    deaths: stat('deaths'),
+                    headshots: stat('headshots'),
+                    damage: stat('damage'),
+                    topNTimes: optionalStat('top10'),
+                    survivalTime: optionalStat('survival-time')
+                }
+            };
+        });
+        
+        const guildName = text(selectors.guildName);
+        const lastLogin = Date.parse(text(selectors.lastLogin));
+        
+        return {
+            accountData: {
+                basicInfo: {
+                    nickname: nickname,
+                    accountId: uid,
+                    level: parseStatNumber(text(selectors.level)),
+                    region: text(selectors.region) || region,
+                    liked: parseStatNumber(text(selectors.likes)),
+                    rank: text(selectors.rank) || undefined,
+                    rankingPoints: parseStatNumber(text(selectors.rankingPoints)),
+                    maxRank: text(selectors.maxRank) || undefined,
+                    csRank: text(selectors.csRank) || undefined,
+                    csRankingPoints: parseStatNumber(text(selectors.csRankingPoints)),
+                    csMaxRank: text(selectors.csMaxRank) || undefined,
+                    badgeCnt: parseStatNumber(text(selectors.badges)),
+                    lastLoginAt: isNaN(lastLogin) ? undefined : Math.floor(lastLogin / 1000)
+                },
+                clanBasicInfo: guildName ? {
+                    clanName: guildName,
+                    clanLevel: parseStatNumber(text(selectors.guildLevel)),
+                    memberNum: parseStatNumber(text(selectors.guildMembers))
+                } : null
+            },
+            statsData: {
+                soloStats: modeStats.solo || {},
+                duoStats: modeStats.duo,
+                quadStats: modeStats.squad || modeStats.quad || {},
+                rankedStats: modeStats.ranked,
+                csStats: modeStats.cs || modeStats['clash-squad']
+            }
+        };
+    }
+    
+    // Resolve guild member UIDs to nicknames, at most GUILD_MEMBER_LIMIT of them
+    // Cached like the guild, so repeated lookups and buttons do not resolve the roster again
+    async function resolveGuildRoster(guild, region) {
+        const cacheKey = `roster-${guild.clanId}-${region}`;
+        const resolve = async () => {
+            const members = guildMemberIds(guild).slice(0, GUILD_MEMBER_LIMIT);
+            const roster = await mapWithConcurrency(members, GUILD_FETCH_CONCURRENCY, async (member) => ({
+                ...member,
+                nickname: await fetchPlayerNickname(member.uid, guild.region || region)
+            }));
+            return { members: roster };
+        };
+        
+        // Cached as an object, as a stale copy of an array would lose its items
+        const result = await cachedFetch(cacheKey, 'guild', {}, () => sharedInFlight(cacheKey, resolve));
+        return result.members;
+    }
+    
+    // Look up only the nickname of a player through the account endpoint
+    async function fetchPlayerNickname(uid, region) {
+        const known = playerIndex.get(`${uid}-${region}`);
+        if (known && Date.now() - known.lastSeen < 24 * 60 * 60 * 1000) {
+            return known.nickname;
+        }
+        
+        const accountSources = statsSources.filter((source) => source.endpoints && source.endpoints.account);
+        for (const source of accountSources) {
+            try {
+                const response = await upstream.get(sourceUrl(source, 'account', { uid, region }), upstreamOptions(source, 'application/json', accountSchema));
+                
+                const basicInfo = response.data.basicInfo;
+                if (basicInfo && basicInfo.nickname) {
+                    rememberPlayer({ nickname: basicInfo.nickname, uid: uid, level: basicInfo.level || 0, region: region });
+                    return basicInfo.nickname;
+                }
+            } catch (error) {
+                console.error(`${source.name} nickname lookup for ${uid} failed: ${error.message}`);
+            }
+        }
+        
+        return known ? known.nickname : null;
+    }
+    
+    // Function to search players by nickname
+    // Combines the community search page with the local index of resolved players
+    async function searchPlayerByNickname(nickname, region) {
+        const candidates = new Map();
+        const addCandidate = (player) => {
+            if (region && player.region !== region) {
+                return;
+            }
+            const key = `${player.uid}-${player.region}`;
+            // Keep the freshest details when both lookups know the player
+            candidates.set(key, { ...candidates.get(key), ...player });
+        };
+        
+        for (const player of playerIndex.values()) {
+            addCandidate(player);
+        }
+        
+        const searchSources = statsSources.filter((source) => source.searchPath && source.searchSelectors);
+        for (const source of searchSources) {
+            try {
+                const results = await scrapePlayerSearch(source, nickname, region);
+                results.forEach(addCandidate);
+            } catch (error) {
+                console.error(`${source.name} search failed: ${error.message}`);
+            }
+        }
+        
+        return [...candidates.values()]
+            .map((player) => ({ ...player, score: nicknameMatchScore(nickname, player.nickname) }))
+            .filter((player) => player.score >= 0.5)
+            .sort((a, b) => b.score - a.score || (b.level || 0) - (a.level || 0));
+    }
+    
+    // Scrape the search results page of an HTML source
+    async function scrapePlayerSearch(source, nickname, region) {
+        const searchUrl = `${source.baseUrl}${source.searchPath}?q=${encodeURIComponent(nickname)}` +
+                          (region ? `&region=${encodeURIComponent(region)}` : '');
+        
+        const response = await upstream.get(searchUrl, upstreamOptions(source, 'text/html', htmlPageSchema));
+        
+        const $ = cheerio.load(response.data);
+        const selectors = source.searchSelectors;
+        const results = [];
+        
+        $(selectors.result).each((i, element) => {
+            const field = (selector) => $(element).find(selector).first().text().trim();
+            const uid = field(selectors.uid).replace(/\D/g, '');
+            const playerNickname = field(selectors.nickname);
+            
+            if (uid && playerNickname) {
+                results.push({
+                    nickname: playerNickname,
+                    uid: uid,
+                    level: parseStatNumber(field(selectors.level)),
+                    region: field(selectors.region).toUpperCase() || region || DEFAULT_REGION
+                });
+            }
+        });
+        
+        return results;
+    }
+    
+    // Add a resolved player to the local search index
+    function rememberPlayer(player) {
+        playerIndex.set(`${player.uid}-${player.region}`, {
+            nickname: player.nickname,
+            uid: String(player.uid),
+            level: player.level,
+            region: player.region,
+            lastSeen: Date.now()
+        });
+        storage.saveJsonFile('player-index.json', Object.fromEntries(playerIndex));
+    }
+    
+    // Function to fetch guild information
+    async function fetchGuildInfo(guildId, region, options = {}) {
+        const cacheKey = `guild-${guildId}-${region}`;
+        
+        return cachedFetch(cacheKey, 'guild', options, () => sharedInFlight(cacheKey, () => fetchGuildInfoFromSource(guildId, region)));
+    }
+    
+    // Returns null when the guild does not exist and throws when the source fails
+    async function fetchGuildInfoFromSource(guildId, region) {
+        const guildSource = statsSources.find((source) => source.endpoints && source.endpoints.guildInfo);
+        if (!guildSource) {
+            throw new Error('No configured stats source provides guild info');
+        }
+        
+        const response = await upstream.get(sourceUrl(guildSource, 'guildInfo', { guildId, region }), upstreamOptions(guildSource, 'application/json', guildSchema));
+        const guild = response.data;
+        
+        if (guild.error) {
+            return null;
+        }
+        
+        return guild;
+    }
+    
+    // Serve fetched data from the cache
+    // Fresh entries are returned as is. Stale entries trigger a refetch, and when the
+    // source is slow or down the stale copy is returned with stale/cachedAt set.
+    async function cachedFetch(cacheKey, type, options, fetcher) {
+        let cached = statsCache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp > CACHE_STALE_MAX_AGE) {
+            cached = null;
+        }
+        
+        if (!options.bypassCache && cached && Date.now() - cached.timestamp < CACHE_TTLS[type]) {
+            console.log(`Using cached data for ${cacheKey}`);
+            metrics.cache.inc('hit');
+            return cached.data;
+        }
+        metrics.cache.inc(cached ? 'stale' : 'miss');
+        
+        const refresh = fetcher().then((data) => {
+            if (data) {
+                statsCache.set(cacheKey, { data: data, timestamp: Date.now(), type: type });
+            }
+            return data;
+        });
+        
+        if (!cached) {
+            return refresh;
+        }
+        
+        const staleCopy = () => ({ ...cached.data, stale: true, cachedAt: cached.timestamp });
+        
+        try {
+            // A forced refresh waits for the source, otherwise stale data is served quickly
+            if (options.bypassCache) {
+                return await refresh;
+            }
+            
+            const timedOut = Symbol('timeout');
+            const result = await Promise.race([
+                refresh,
+                new Promise((resolve) => setTimeout(resolve, CACHE_STALE_WAIT, timedOut).unref())
+            ]);
+            
+            if (result === timedOut) {
+                // Keep refreshing in the background for the next request
+                refresh.catch((error) => console.error(`Background refresh of ${cacheKey} failed: ${error.message}`));
+                return staleCopy();
+            }
+            
+            return result;
+            
+        } catch (error) {
+            console.error(`Serving stale ${cacheKey}: ${error.message}`);
+            return staleCopy();
+        }
+    }
+    
+    // Run a task once for a key while it is in flight; callers with the same key share the result
+    function sharedInFlight(key, task) {
+        if (inFlightRequests.has(key)) {
+            return inFlightRequests.get(key);
+        }
+        
+        const promise = Promise.resolve()
+            .then(task)
+            .finally(() => inFlightRequests.delete(key));
+        inFlightRequests.set(key, promise);
+        
+        return promise;
+    }
+    
+    return {
+        cache: statsCache,
+        sourceHealth: upstream.sourceHealth,
+        fetchPlayerStats,
+        withExtraModes,
+        fetchGuildInfo,
+        searchPlayerByNickname,
+        resolveGuildRoster,
+        fetchPlayerNickname,
+        probeSources: upstream.probeSources,
+        sharedInFlight,
+        queueStatus: upstream.queueStatus
+    };
+}
+
+module.exports = {
+    GUILD_FETCH_CONCURRENCY,
+    GUILD_MEMBER_LIMIT,
+    createStatsClient
+};
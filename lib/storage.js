@@ -0,0 +1,221 @@
+// Files the bot keeps in its data directory between restarts
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory with the snapshot history - one JSON-lines file per player, e.g. 1633864660-IND.jsonl
+// so a lookup only ever reads the history of the player it shows
+const SNAPSHOTS_DIR = 'snapshots';
+
+// Single history file of earlier versions, split into the per-player files on start
+const LEGACY_SNAPSHOTS_FILE = 'snapshots.jsonl';
+
+// Snapshots are kept as long as the longest /history window, older ones are compacted away
+const SNAPSHOT_RETENTION_DAYS = 365;
+
+// A snapshot equal to the player's previous one is skipped until the previous one is this old,
+// so watchlist polls and guild lookups do not store the same stats over and over
+const SNAPSHOT_UNCHANGED_INTERVAL = 12 * 60 * 60 * 1000;
+
+// Function to create the storage of one data directory
+function createStorage(dataDir) {
+    const snapshotsDir = path.join(dataDir, SNAPSHOTS_DIR);
+    
+    // Last snapshot stored for each player in this process, keyed by file name
+    const lastSnapshots = new Map();
+    
+    // Utility functions to read and write JSON files in the data directory
+    function loadJsonFile(fileName, fallback) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(dataDir, fileName), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read ${fileName}: ${error.message}`);
+            }
+            return fallback;
+        }
+    }
+    
+    function saveJsonFile(fileName, data) {
+        try {
+            fs.mkdirSync(dataDir, { recursive: true });
+            // Write to a temp file first so a crash never leaves half a file behind
+            const filePath = path.join(dataDir, fileName);
+            fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+            fs.renameSync(`${filePath}.tmp`, filePath);
+        } catch (error) {
+            console.error(`Failed to write ${fileName}: ${error.message}`);
+        }
+    }
+    
+    // Utility function for the history file of a player
+    // UIDs and regions come from users, so they are encoded to stay inside the directory
+    function snapshotFile(uid, region) {
+        return path.join(snapshotsDir, `${encodeURIComponent(`${uid}-${region}`)}.jsonl`);
+    }
+    
+    // Append a snapshot of a freshly fetched player to its history file
+    // One JSON object per line keeps appends cheap and the file easy to inspect
+    function savePlayerSnapshot(player) {
+        const snapshot = {
+            uid: String(player.uid),
+            region: player.region,
+            timestamp: Date.now(),
+            nickname: player.nickname,
+            level: player.level,
+            rank: player.rank,
+            rankingPoints: player.rankingPoints,
+            kdRatio: parseFloat(player.kdRatio) || 0,
+            winRate: parseFloat(player.winRate) || 0,
+            totalKills: player.totalKills,
+            totalMatches: player.totalMatches,
+            totalWins: player.totalWins,
+            guild: player.clanInfo ? player.clanInfo.clanName : null
+        };
+        
+        const filePath = snapshotFile(snapshot.uid, snapshot.region);
+        const previous = lastSnapshots.get(filePath);
+        if (previous && snapshot.timestamp - previous.timestamp < SNAPSHOT_UNCHANGED_INTERVAL && sameStats(previous, snapshot)) {
+            return;
+        }
+        
+        try {
+            fs.mkdirSync(snapshotsDir, { recursive: true });
+            fs.appendFileSync(filePath, JSON.stringify(snapshot) + '\n');
+            lastSnapshots.set(filePath, snapshot);
+        } catch (error) {
+            console.error(`Failed to save snapshot for ${player.uid}: ${error.message}`);
+        }
+    }
+    
+    // Read the stored snapshots of a player, oldest first
+    async function loadPlayerSnapshots(uid, region, since = 0) {
+        let content;
+        try {
+            content = await fs.promises.readFile(snapshotFile(uid, region), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read snapshots of ${uid}: ${error.message}`);
+            }
+            return [];
+        }
+        
+        return parseSnapshots(content)
+            .filter((snapshot) => snapshot.timestamp >= since)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+    
+    // Rewrite the history files without the snapshots older than the retention
+    // Returns how many were dropped - a file is only rewritten when it has any
+    async function compactSnapshots(now = Date.now()) {
+        const cutoff = now - SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        let fileNames;
+        try {
+            fileNames = await fs.promises.readdir(snapshotsDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to list snapshots: ${error.message}`);
+            }
+            return 0;
+        }
+        
+        let dropped = 0;
+        for (const fileName of fileNames.filter((name) => name.endsWith('.jsonl'))) {
+            const filePath = path.join(snapshotsDir, fileName);
+            try {
+                const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n').filter((line) => line.trim());
+                // Lines left broken by an interrupted write are dropped too
+                const kept = lines.filter((line) => {
+                    const snapshot = parseSnapshots(line)[0];
+                    return snapshot && snapshot.timestamp >= cutoff;
+                });
+                if (kept.length === lines.length) {
+                    continue;
+                }
+                
+                if (kept.length === 0) {
+                    await fs.promises.unlink(filePath);
+                } else {
+                    await fs.promises.writeFile(`${filePath}.tmp`, kept.map((line) => line + '\n').join(''));
+                    await fs.promises.rename(`${filePath}.tmp`, filePath);
+                }
+                dropped += lines.length - kept.length;
+            } catch (error) {
+                console.error(`Failed to compact ${fileName}: ${error.message}`);
+            }
+        }
+        
+        return dropped;
+    }
+    
+    // Split the single history file of earlier versions into the per-player files
+    // Runs once - the old file is removed when every snapshot has been moved
+    function migrateLegacySnapshots() {
+        const legacyPath = path.join(dataDir, LEGACY_SNAPSHOTS_FILE);
+        let content;
+        try {
+            content = fs.readFileSync(legacyPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read ${LEGACY_SNAPSHOTS_FILE}: ${error.message}`);
+            }
+            return;
+        }
+        
+        const players = new Map();
+        parseSnapshots(content).forEach((snapshot) => {
+            const filePath = snapshotFile(snapshot.uid, snapshot.region);
+            if (!players.has(filePath)) {
+                players.set(filePath, []);
+            }
+            players.get(filePath).push(JSON.stringify(snapshot) + '\n');
+        });
+        
+        try {
+            fs.mkdirSync(snapshotsDir, { recursive: true });
+            players.forEach((lines, filePath) => fs.appendFileSync(filePath, lines.join('')));
+            fs.unlinkSync(legacyPath);
+            console.log(`Moved the snapshots of ${players.size} players out of ${LEGACY_SNAPSHOTS_FILE}`);
+        } catch (error) {
+            console.error(`Failed to migrate ${LEGACY_SNAPSHOTS_FILE}: ${error.message}`);
+        }
+    }
+    
+    migrateLegacySnapshots();
+    
+    return {
+        dataDir,
+        loadJsonFile,
+        saveJsonFile,
+        savePlayerSnapshot,
+        loadPlayerSnapshots,
+        compactSnapshots
+    };
+}
+
+// Utility function to parse JSON lines of snapshots
+function parseSnapshots(content) {
+    const snapshots = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            snapshots.push(JSON.parse(line));
+        } catch (error) {
+            // Skip a line left broken by an interrupted write
+        }
+    }
+    return snapshots;
+}
+
+// Utility function to check whether two snapshots hold the same stats, whenever they were taken
+function sameStats(a, b) {
+    return Object.keys(b).every((key) => key === 'timestamp' || a[key] === b[key]);
+}
+
+module.exports = {
+    SNAPSHOT_RETENTION_DAYS,
+    SNAPSHOT_UNCHANGED_INTERVAL,
+    createStorage
+};
@@ -0,0 +1,244 @@
+// Shared client for every request to the stats sources
+// Requests wait in one queue, transient failures (timeouts, 5xx, a Render service
+// still waking up) are retried with exponential backoff, and a source that keeps
+// failing is skipped for a while by its circuit breaker.
+
+const axios = require('axios');
+const { createMetrics } = require('./metrics');
+const { validateSchema } = require('./schemas');
+
+// Outbound requests to the stats sources - at most this many at once, the rest wait in line
+const MAX_UPSTREAM_CONCURRENCY = 4;
+
+// Statuses worth another try - the source is overloaded, restarting or waking up
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Function to create the upstream client
+// http is anything with an axios-style get(url, options) - tests pass a fake one
+function createUpstreamClient({ config, http = axios, metrics = createMetrics() }) {
+    const statsSources = config.sources;
+    const { retries, retryDelay, maxRetryDelay } = config.http;
+    const { failureThreshold, resetTimeout } = config.http.circuitBreaker;
+    
+    // Requests waiting for a free slot, see queued
+    const upstreamQueue = [];
+    let activeUpstreamRequests = 0;
+    
+    // Promises of GETs that are still running, keyed by URL
+    const inFlightRequests = new Map();
+    
+    // Reachability and circuit breaker state of every stats source, for /healthz and /status
+    // circuit is 'closed' (requests go through), 'open' (skipped since circuitOpenedAt)
+    // or 'half-open' (one trial request decides whether the source is back)
+    const sourceHealth = new Map(statsSources.map((source) => [source.name, {
+        reachable: null,
+        checkedAt: null,
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        consecutiveFailures: 0,
+        circuit: 'closed',
+        circuitOpenedAt: null
+    }]));
+    
+    // Function to GET a stats source URL
+    // options are axios request options, plus an optional schema the response body
+    // must match - a body that does not is a "returned bad data" error
+    async function get(url, options = {}) {
+        const { schema, ...requestOptions } = options;
+        const source = statsSources.find((item) => url.startsWith(item.baseUrl));
+        const sourceName = source ? source.name : 'other';
+        
+        if (inFlightRequests.has(url)) {
+            return inFlightRequests.get(url);
+        }
+        
+        const request = Promise.resolve()
+            .then(() => getWithRetries(sourceName, url, requestOptions, schema))
+            .finally(() => inFlightRequests.delete(url));
+        inFlightRequests.set(url, request);
+        
+        return request;
+    }
+    
+    async function getWithRetries(sourceName, url, requestOptions, schema) {
+        if (!allowRequest(sourceName)) {
+            const error = new Error(`${sourceName} is skipped after ${failureThreshold} failed requests in a row`);
+            error.code = 'ECIRCUITOPEN';
+            throw error;
+        }
+        
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await queued(() => timedGet(sourceName, url, requestOptions));
+            } catch (error) {
+                if (isTransientError(error) && attempt < retries) {
+                    metrics.upstreamRetries.inc(sourceName);
+                    console.log(`${sourceName}: ${error.message}, retrying ${url}`);
+                    await new Promise((resolve) => setTimeout(resolve, backoffDelay(attempt)));
+                    continue;
+                }
+                
+                // A 404 and the like means the source is up and answered
+                recordCircuitResult(sourceName, isTransientError(error) ? error : null);
+                throw error;
+            }
+            
+            const problems = schema ? validateSchema(response.data, schema) : [];
+            if (problems.length > 0) {
+                const error = new Error(`${sourceName} returned bad data (${problems.slice(0, 3).join(', ')})`);
+                error.code = 'EBADDATA';
+                recordCircuitResult(sourceName, error);
+                metrics.errors.inc('bad_data');
+                throw error;
+            }
+            
+            recordCircuitResult(sourceName, null);
+            return response;
+        }
+    }
+    
+    // Run a request once a slot is free
+    async function queued(task) {
+        if (activeUpstreamRequests >= MAX_UPSTREAM_CONCURRENCY) {
+            await new Promise((resolve) => upstreamQueue.push(resolve));
+        }
+        activeUpstreamRequests++;
+        
+        try {
+            return await task();
+        } finally {
+            activeUpstreamRequests--;
+            // Hand the slot to the next queued request
+            const next = upstreamQueue.shift();
+            if (next) {
+                next();
+            }
+        }
+    }
+    
+    // One attempt of a request, measured for /metrics
+    async function timedGet(sourceName, url, requestOptions) {
+        const requestStartedAt = Date.now();
+        
+        try {
+            const response = await http.get(url, requestOptions);
+            recordSourceResult(sourceName, Date.now() - requestStartedAt, null);
+            return response;
+        } catch (error) {
+            recordSourceResult(sourceName, Date.now() - requestStartedAt, error);
+            throw error;
+        }
+    }
+    
+    // Timeouts, dropped connections and overloaded sources may work on the next try
+    function isTransientError(error) {
+        return !error.response || RETRY_STATUSES.includes(error.response.status);
+    }
+    
+    // Exponential backoff with jitter - retryDelay, then twice that and so on, capped at maxRetryDelay
+    function backoffDelay(attempt) {
+        const delay = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+    
+    // Whether the circuit breaker of a source lets a request through
+    function allowRequest(sourceName) {
+        const health = sourceHealth.get(sourceName);
+        if (!health || health.circuit === 'closed') {
+            return true;
+        }
+        
+        // After resetTimeout a single trial request may go through
+        if (health.circuit === 'open' && Date.now() - health.circuitOpenedAt >= resetTimeout) {
+            health.circuit = 'half-open';
+            console.log(`${sourceName}: circuit half-open, sending a trial request`);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    // Count a failed or successful request towards the circuit breaker of its source
+    function recordCircuitResult(sourceName, error) {
+        const health = sourceHealth.get(sourceName);
+        if (!health) {
+            return;
+        }
+        
+        if (!error) {
+            if (health.circuit !== 'closed') {
+                console.log(`${sourceName}: circuit closed, the source is back`);
+            }
+            health.consecutiveFailures = 0;
+            health.circuit = 'closed';
+            health.circuitOpenedAt = null;
+            return;
+        }
+        
+        health.consecutiveFailures++;
+        health.lastError = error.message;
+        if (health.circuit === 'half-open' || health.consecutiveFailures >= failureThreshold) {
+            if (health.circuit !== 'open') {
+                console.error(`${sourceName}: circuit open after ${health.consecutiveFailures} failures, skipping it for ${resetTimeout / 1000}s`);
+                metrics.circuitTrips.inc(sourceName);
+            }
+            health.circuit = 'open';
+            health.circuitOpenedAt = Date.now();
+        }
+    }
+    
+    // Record the outcome of a request to a stats source for /healthz and /metrics
+    function recordSourceResult(sourceName, durationMs, error) {
+        metrics.upstreamLatency.observe(sourceName, durationMs / 1000);
+        metrics.upstreamRequests.inc(sourceName, error ? 'error' : 'success');
+        
+        const health = sourceHealth.get(sourceName);
+        if (!health) {
+            return;
+        }
+        
+        // Any HTTP response, even an error status, means the source is reachable
+        health.reachable = !error || Boolean(error.response);
+        health.checkedAt = Date.now();
+        if (error) {
+            health.lastFailure = Date.now();
+            health.lastError = error.message;
+            metrics.errors.inc('upstream');
+        } else {
+            health.lastSuccess = Date.now();
+        }
+    }
+    
+    // Check that every stats source answers at all - probes bypass the queue and the circuit breaker
+    async function probeSources() {
+        await Promise.all(statsSources.map(async (source) => {
+            const health = sourceHealth.get(source.name);
+            try {
+                await http.get(source.baseUrl, {
+                    headers: { 'User-Agent': config.http.userAgent },
+                    timeout: source.timeout || config.http.timeout,
+                    validateStatus: () => true
+                });
+                health.reachable = true;
+            } catch (error) {
+                health.reachable = false;
+                health.lastError = error.message;
+            }
+            health.checkedAt = Date.now();
+        }));
+    }
+    
+    return {
+        get,
+        sourceHealth,
+        probeSources,
+        // Requests running and waiting for a slot, for /status and /metrics
+        queueStatus: () => ({ active: activeUpstreamRequests, queued: upstreamQueue.length })
+    };
+}
+
+module.exports = {
+    createUpstreamClient
+};
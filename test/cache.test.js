@@ -0,0 +1,70 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryCache, createDiskCache } = require('../lib/cache');
+
+describe('createMemoryCache', () => {
+    test('drops the least recently used entry when full', () => {
+        const cache = createMemoryCache(2);
+        cache.set('a', { data: 1 });
+        cache.set('b', { data: 2 });
+        cache.get('a');
+        cache.set('c', { data: 3 });
+        
+        assert.deepEqual(cache.keys().sort(), ['a', 'c']);
+    });
+});
+
+describe('createDiskCache', () => {
+    let dir;
+    
+    // Date a cache file back so the order of use does not depend on the clock resolution
+    function age(key, seconds) {
+        const time = new Date(Date.now() - seconds * 1000);
+        fs.utimesSync(path.join(dir, `${key}.json`), time, time);
+    }
+    
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffbot-cache-'));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    test('keeps entries across instances', () => {
+        createDiskCache(dir, 10).set('player-1-IND', { data: { uid: '1' }, timestamp: 1, type: 'player' });
+        
+        assert.deepEqual(createDiskCache(dir, 10).get('player-1-IND').data, { uid: '1' });
+    });
+    
+    test('removes the least recently used files when it grows past maxEntries', () => {
+        const cache = createDiskCache(dir, 2);
+        cache.set('a', { data: 1 });
+        cache.set('b', { data: 2 });
+        age('a', 30);
+        age('b', 20);
+        cache.get('a');
+        
+        cache.set('c', { data: 3 });
+        assert.deepEqual(cache.keys().sort(), ['a', 'c']);
+        
+        // Overwriting an entry does not count as a new one
+        cache.set('c', { data: 4 });
+        assert.equal(cache.size, 2);
+    });
+    
+    test('counts the files left by an earlier run', () => {
+        const earlier = createDiskCache(dir, 3);
+        ['a', 'b', 'c'].forEach((key, index) => {
+            earlier.set(key, { data: index });
+            age(key, 30 - index);
+        });
+        
+        const cache = createDiskCache(dir, 3);
+        cache.set('d', { data: 3 });
+        assert.deepEqual(cache.keys().sort(), ['b', 'c', 'd']);
+    });
+});
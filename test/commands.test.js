@@ -0,0 +1,636 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PRIMARY, COMMUNITY } = require('./helpers/fixture-http');
+const { ADMIN_USER, USER, GROUP_CHAT, createTestBot, lastText } = require('./helpers/test-bot');
+
+// A second member of the group chat, so rate limits of one user do not add up across a test
+const MEMBER = { id: 8, is_bot: false, first_name: 'Member', username: 'member8', language_code: 'en' };
+
+describe('commands', () => {
+    let bot;
+    
+    beforeEach(async () => {
+        bot = await createTestBot();
+    });
+    
+    afterEach(async () => {
+        await bot.close();
+    });
+    
+    describe('/start, /help and /regions', () => {
+        test('/start lists the commands and regions', async () => {
+            const calls = await bot.send('/start');
+            
+            assert.equal(calls.length, 1);
+            assert.equal(calls[0].method, 'sendMessage');
+            assert.equal(calls[0].params.parse_mode, 'HTML');
+            assert.match(calls[0].params.text, /<b>Free Fire Stats Bot<\/b>/);
+            assert.match(calls[0].params.text, /IND, ID, SG/);
+        });
+        
+        test('/help names the default region of the chat', async () => {
+            assert.match(lastText(await bot.send('/help')), /IND/);
+        });
+        
+        test('/regions groups the configured regions', async () => {
+            const text = lastText(await bot.send('/regions'));
+            
+            assert.match(text, /BR - Brazil/);
+            assert.match(text, /BD - Bangladesh/);
+        });
+    });
+    
+    describe('/stats', () => {
+        test('replaces the loading message with the player', async () => {
+            const calls = await bot.send('/stats 1633864660 IND');
+            
+            assert.deepEqual(calls.map((call) => call.method), ['sendMessage', 'editMessageText']);
+            assert.equal(calls[1].params.message_id, String(1000));
+            assert.match(calls[1].params.text, /<b>SniperKing<\/b>/);
+            assert.match(calls[1].params.text, /Diamond II/);
+            assert.match(calls[1].params.text, /Free FF API \(Primary\)/);
+            
+            const buttons = calls[1].params.reply_markup.inline_keyboard.flat().map((button) => button.callback_data);
+            assert.ok(buttons.includes('p:ranked:1633864660:IND'));
+        });
+        
+        test('opens the requested mode', async () => {
+            const text = lastText(await bot.send('/stats 1633864660 IND ranked'));
+            
+            assert.match(text, /Ranked/);
+            assert.match(text, /400/);
+        });
+        
+        test('shows players found only on the community site', async () => {
+            const text = lastText(await bot.send('/stats 3100000001 BR'));
+            
+            assert.match(text, /Lobo_BR/);
+            assert.match(text, /FF Community Stats/);
+        });
+        
+        test('asks for a UID', async () => {
+            assert.match(lastText(await bot.send('/stats')), /Please provide a UID/);
+        });
+        
+        test('rejects unknown regions and modes', async () => {
+            assert.match(lastText(await bot.send('/stats 1633864660 XX')), /Invalid Region/);
+            assert.match(lastText(await bot.send('/stats 1633864660 IND arcade')), /Unknown Mode/);
+            assert.equal(bot.http.requests.length, 0);
+        });
+        
+        test('reports players no source knows', async () => {
+            assert.match(lastText(await bot.send('/stats 9999999999')), /Player Not Found/);
+        });
+        
+        test('reports sources that are down', async () => {
+            const text = lastText(await bot.send('/stats 1111111111'));
+            
+            assert.match(text, /Error Occurred/);
+            assert.match(text, /All stats sources are unavailable/);
+            assert.equal(bot.app.metrics.errors.get('handler'), 1);
+        });
+        
+        test('answers from the next source when the first one sends a cut-off body', async () => {
+            const text = lastText(await bot.send('/stats 2222222222'));
+            
+            assert.match(text, /CutOff/);
+            assert.match(text, /FF Community Stats/);
+        });
+        
+        test('falls back to plain text when Telegram cannot parse the formatting', async () => {
+            bot.telegram.failNext('editMessageText', 400, "Bad Request: can't parse entities: unsupported start tag");
+            const calls = await bot.send('/stats 1633864660');
+            
+            const edits = calls.filter((call) => call.method === 'editMessageText');
+            assert.equal(edits.length, 2);
+            assert.equal(edits[1].params.parse_mode, undefined);
+            assert.doesNotMatch(edits[1].params.text, /<b>/);
+        });
+        
+        test('rate limits bursts of lookups', async () => {
+            for (let i = 0; i < 5; i++) {
+                await bot.send('/stats 1633864660');
+            }
+            const calls = await bot.send('/stats 1633864660');
+            
+            assert.equal(calls.length, 1);
+            assert.match(calls[0].params.text, /Slow down/);
+        });
+    });
+    
+    describe('/search', () => {
+        test('lists matches with a button per player', async () => {
+            const calls = await bot.send('/search Sniper');
+            
+            assert.match(lastText(calls), /SniperKing/);
+            assert.match(lastText(calls), /Sniper_Queen/);
+            const buttons = calls[1].params.reply_markup.inline_keyboard.flat().map((button) => button.callback_data);
+            assert.deepEqual(buttons, ['s:1633864660:IND', 's:2205436102:IND']);
+        });
+        
+        test('filters by a trailing region', async () => {
+            await bot.send('/search Sniper IND');
+            
+            assert.ok(bot.http.requests.some((request) => request.url.endsWith('/player-search?q=Sniper&region=IND')));
+        });
+        
+        test('says when nothing matches', async () => {
+            assert.match(lastText(await bot.send('/search Nobody')), /Nobody/);
+        });
+        
+        test('asks for a nickname', async () => {
+            assert.match(lastText(await bot.send('/search')), /\/search \[Nickname\]/);
+        });
+    });
+    
+    describe('/guild and /guildstats', () => {
+        test('/guild shows the guild with its leaders', async () => {
+            const text = lastText(await bot.send('/guild 3033195648'));
+            
+            assert.match(text, /NightWolves/);
+            assert.match(text, /Captain: SniperKing/);
+            assert.match(text, /Deputy: Sniper_Queen/);
+        });
+        
+        test('/guild reports unknown guilds', async () => {
+            assert.match(lastText(await bot.send('/guild 4040404040')), /Guild Not Found/);
+        });
+        
+        test('/guild reports malformed and failed responses', async () => {
+            assert.match(lastText(await bot.send('/guild 6000000000')), /returned bad data/);
+            assert.match(lastText(await bot.send('/guild 5000000000', { from: MEMBER })), /status code 500/);
+        });
+        
+        test('/guildstats ranks the members it could load', async () => {
+            const text = lastText(await bot.send('/guildstats 3033195648'));
+            
+            assert.match(text, /Member Stats/);
+            assert.match(text, /SniperKing/);
+            assert.match(text, /Sniper_Queen/);
+        });
+        
+        test('/guild and /guildstats check the region before asking a source', async () => {
+            const requests = bot.http.requests.length;
+            
+            assert.match(lastText(await bot.send('/guild 3033195648 XX')), /Invalid Region/);
+            assert.match(lastText(await bot.send('/guildstats 3033195648 XX', { from: ADMIN_USER })), /Invalid Region/);
+            assert.equal(bot.http.requests.length, requests);
+        });
+        
+        test('/guildstats reports unknown guilds', async () => {
+            assert.match(lastText(await bot.send('/guildstats 4040404040')), /Guild Not Found/);
+        });
+    });
+    
+    describe('/history, /refresh and /compare', () => {
+        test('/history shows the stored snapshots', async () => {
+            await bot.send('/stats 1633864660');
+            const text = lastText(await bot.send('/history 1633864660 IND 30'));
+            
+            assert.match(text, /SniperKing/);
+        });
+        
+        test('/history says when a player has no snapshots', async () => {
+            assert.match(lastText(await bot.send('/history 9999999999')), /No History Yet/);
+        });
+        
+        test('/refresh skips the cache', async () => {
+            await bot.send('/stats 1633864660');
+            const requests = bot.http.requests.length;
+            const text = lastText(await bot.send('/refresh 1633864660'));
+            
+            assert.match(text, /SniperKing/);
+            assert.ok(bot.http.requests.length > requests);
+        });
+        
+        test('/refresh guild reports unknown guilds', async () => {
+            assert.match(lastText(await bot.send('/refresh guild 4040404040')), /Nothing found for/);
+        });
+        
+        test('/compare puts players side by side', async () => {
+            const text = lastText(await bot.send('/compare 1633864660 2205436102 IND'));
+            
+            assert.match(text, /Player Comparison/);
+            assert.match(text, /SniperKing/);
+            assert.match(text, /Sniper_Queen/);
+        });
+        
+        test('/compare needs two players it can load', async () => {
+            assert.match(lastText(await bot.send('/compare 1633864660 9999999999')), /Not Enough Players/);
+        });
+    });
+    
+    describe('/watch and /unwatch', () => {
+        test('watches, lists and unwatches a player', async () => {
+            assert.match(lastText(await bot.send('/watch 1633864660')), /Now Watching SniperKing/);
+            assert.match(lastText(await bot.send('/watch')), /1633864660/);
+            assert.match(lastText(await bot.send('/unwatch 1633864660')), /Stopped watching/);
+            assert.match(lastText(await bot.send('/watch')), /Watchlist Empty/);
+        });
+        
+        test('notifies the chat when a watched player ranks up', async () => {
+            await bot.send('/watch 1633864660');
+            bot.http.route(`${PRIMARY}/account?region=IND&uid=1633864660`, { file: 'free-ff-api/account-2205436102.json' });
+            bot.app.stats.cache.keys().forEach((key) => bot.app.stats.cache.delete(key));
+            
+            const before = bot.telegram.calls.length;
+            await bot.app.checkWatchlist();
+            
+            const text = lastText(bot.telegram.calls.slice(before));
+            assert.match(text, /Sniper_Queen/);
+            assert.match(text, /Platinum II/);
+        });
+        
+        test('/unwatch reports players that are not watched', async () => {
+            assert.match(lastText(await bot.send('/unwatch 1633864660')), /is not on this chat's watchlist/);
+        });
+    });
+    
+    describe('/card', () => {
+        test('sends a PNG card and removes the loading message', async () => {
+            const calls = await bot.send('/card 1633864660');
+            
+            const photo = calls.find((call) => call.method === 'sendPhoto');
+            assert.equal(photo.params.photo.filename, 'ff-card-1633864660.png');
+            assert.ok(photo.params.photo.size > 1000);
+            assert.match(photo.params.caption, /SniperKing • Diamond II/);
+            assert.ok(calls.some((call) => call.method === 'deleteMessage'));
+        });
+        
+        test('reports players no source knows', async () => {
+            const calls = await bot.send('/card 9999999999');
+            
+            assert.equal(calls.some((call) => call.method === 'sendPhoto'), false);
+            assert.match(lastText(calls), /Player Not Found/);
+        });
+    });
+    
+    describe('/export', () => {
+        test('sends the player, the modes and the stored history as CSV', async () => {
+            await bot.send('/stats 1633864660');
+            const calls = await bot.send('/export 1633864660 IND', { from: MEMBER });
+            
+            const upload = calls.find((call) => call.method === 'sendDocument');
+            assert.equal(upload.params.document.filename, 'ff-1633864660-IND.csv');
+            assert.match(upload.params.caption, /SniperKing - stats, modes and 1 stored snapshots/);
+            
+            const csv = upload.params.document.content.toString('utf8');
+            assert.match(csv, /^Player\r\nuid,nickname,region,level/);
+            assert.match(csv, /\r\n1633864660,SniperKing,IND,/);
+            assert.match(csv, /\r\nsolo,812,/);
+            assert.match(csv, /\r\nranked,400,/);
+            assert.match(csv, /\r\nHistory\r\ndate,nickname,level/);
+            assert.ok(calls.some((call) => call.method === 'deleteMessage'));
+        });
+        
+        test('sends a guild and its members as JSON', async () => {
+            const calls = await bot.send('/export guild:3033195648 IND json');
+            
+            const upload = calls.find((call) => call.method === 'sendDocument');
+            assert.equal(upload.params.document.filename, 'ff-guild-3033195648-IND.json');
+            
+            const data = JSON.parse(upload.params.document.content.toString('utf8'));
+            assert.equal(data.guild.clanName, 'NightWolves');
+            assert.deepEqual(data.members.map((member) => member.nickname), ['SniperKing', 'Sniper_Queen', null]);
+        });
+        
+        test('reports players and guilds no source knows', async () => {
+            assert.match(lastText(await bot.send('/export 9999999999')), /Player Not Found/);
+            assert.match(lastText(await bot.send('/export guild:4040404040', { from: MEMBER })), /Guild Not Found/);
+            assert.equal(bot.telegram.callsTo('sendDocument').length, 0);
+        });
+        
+        test('asks for a UID', async () => {
+            assert.match(lastText(await bot.send('/export')), /guild:\[Guild ID\]/);
+        });
+    });
+    
+    describe('/register, /me, /unregister and /leaderboard', () => {
+        test('links accounts and ranks them', async () => {
+            assert.match(lastText(await bot.send('/register 1633864660', { from: ADMIN_USER })), /Registered SniperKing/);
+            assert.match(lastText(await bot.send('/register 2205436102', { from: MEMBER })), /Registered Sniper_Queen/);
+            
+            assert.match(lastText(await bot.send('/me', { from: MEMBER })), /Sniper_Queen/);
+            
+            const board = lastText(await bot.send('/leaderboard wins', { from: ADMIN_USER }));
+            assert.ok(board.indexOf('SniperKing') < board.indexOf('Sniper_Queen'));
+            
+            assert.match(lastText(await bot.send('/unregister', { from: MEMBER })), /was removed from this chat/);
+            assert.match(lastText(await bot.send('/me', { from: MEMBER })), /Not Registered/);
+        });
+        
+        test('/register reports players no source knows', async () => {
+            assert.match(lastText(await bot.send('/register 9999999999')), /Player Not Found/);
+            assert.match(lastText(await bot.send('/me')), /Not Registered/);
+        });
+        
+        test('/leaderboard needs registered players and a known board', async () => {
+            assert.match(lastText(await bot.send('/leaderboard')), /No Players Registered/);
+            assert.match(lastText(await bot.send('/leaderboard speed')), /Unknown Leaderboard/);
+        });
+        
+        test('/unregister without an account', async () => {
+            assert.match(lastText(await bot.send('/unregister')), /You have no account registered/);
+        });
+    });
+    
+    describe('/scrim', () => {
+        test('ranks the players by what they did between start and end', async () => {
+            await bot.send('/scrim new Weekly Scrim', { chat: GROUP_CHAT, from: ADMIN_USER });
+            assert.match(lastText(await bot.send('/scrim add 1633864660', { chat: GROUP_CHAT, from: MEMBER })), /SniperKing joined <b>Weekly Scrim<\/b> \(1\/50\)/);
+            await bot.send('/scrim add 2205436102 IND', { chat: GROUP_CHAT, from: ADMIN_USER });
+            assert.match(lastText(await bot.send('/scrim start', { chat: GROUP_CHAT, from: ADMIN_USER })), /Saved the kills, wins and matches of 2 players/);
+            
+            bot.http.route(`${PRIMARY}/playerstats?region=IND&uid=1633864660`, { file: 'free-ff-api/playerstats-1633864660-after-scrim.json' });
+            const text = lastText(await bot.send('/scrim end', { chat: GROUP_CHAT, from: MEMBER }));
+            
+            assert.match(text, /Scrim Results - Weekly Scrim/);
+            assert.match(text, /1  SniperKing\s+14\s+1\s+4\s+3\.5\n2  Sniper_Queen\s+0\s+0\s+0/);
+            assert.match(lastText(await bot.send('/scrim', { chat: GROUP_CHAT, from: ADMIN_USER })), /Scrim Tracker/);
+        });
+        
+        test('keeps the scrim when the sources are down at the end', async () => {
+            const group = { chat: GROUP_CHAT, from: ADMIN_USER };
+            await bot.send('/scrim new Weekly', group);
+            await bot.send('/scrim add 1633864660', group);
+            assert.match(lastText(await bot.send('/scrim start', group)), /of 1 players/);
+            
+            bot.http.route(`${PRIMARY}/account?region=IND&uid=1633864660`, { status: 502, file: 'free-ff-api/bad-gateway.html' });
+            bot.http.route(`${COMMUNITY}/player/1633864660?region=IND`, { networkError: 'ECONNRESET' });
+            const text = lastText(await bot.send('/scrim end', { chat: GROUP_CHAT, from: MEMBER }));
+            assert.match(text, /None of the players could be loaded. The scrim is still running/);
+            assert.match(text, /Only cached stats from before were available for SniperKing/);
+            assert.match(lastText(await bot.send('/scrim', group)), /Started/);
+        });
+        
+        test('does not start on stale stats', async () => {
+            await bot.send('/scrim new Weekly');
+            await bot.send('/scrim add 1633864660');
+            
+            bot.http.route(`${PRIMARY}/account?region=IND&uid=1633864660`, { status: 502, file: 'free-ff-api/bad-gateway.html' });
+            bot.http.route(`${COMMUNITY}/player/1633864660?region=IND`, { networkError: 'ECONNRESET' });
+            const text = lastText(await bot.send('/scrim start'));
+            assert.match(text, /did not start/);
+            assert.match(text, /Only cached stats from before were available for SniperKing/);
+        });
+        
+        test('lets only admins run the scrim of a group', async () => {
+            bot.telegram.chatMemberStatus = 'member';
+            
+            assert.match(lastText(await bot.send('/scrim new Weekly', { chat: GROUP_CHAT, from: MEMBER })), /Only group admins/);
+            assert.match(lastText(await bot.send('/scrim add 1633864660', { chat: GROUP_CHAT, from: MEMBER })), /This chat has no scrim/);
+        });
+        
+        test('keeps the players fixed once the scrim has started', async () => {
+            await bot.send('/scrim new Weekly');
+            await bot.send('/scrim add 1633864660');
+            assert.match(lastText(await bot.send('/scrim end')), /has not started yet/);
+            await bot.send('/scrim start');
+            
+            assert.match(lastText(await bot.send('/scrim add 2205436102')), /already started/);
+            assert.match(lastText(await bot.send('/scrim')), /Started 1 min ago/);
+        });
+        
+        test('checks the players it adds and removes', async () => {
+            await bot.send('/scrim new Weekly');
+            
+            assert.match(lastText(await bot.send('/scrim add 9999999999')), /Player Not Found/);
+            assert.match(lastText(await bot.send('/scrim remove 1633864660')), /is not in this scrim/);
+            await bot.send('/scrim add 1633864660');
+            assert.match(lastText(await bot.send('/scrim add 1633864660 IND')), /already in this scrim/);
+            assert.match(lastText(await bot.send('/scrim remove 1633864660')), /was removed/);
+            assert.match(lastText(await bot.send('/scrim start')), /Add players/);
+        });
+    });
+    
+    describe('/language and /settings', () => {
+        test('/language switches the reply language', async () => {
+            const keyboard = (await bot.send('/language'))[0].params.reply_markup.inline_keyboard.flat();
+            assert.ok(keyboard.some((button) => button.callback_data === 'lang:pt'));
+            
+            await bot.send('/language pt');
+            assert.doesNotMatch(lastText(await bot.send('/stats')), /Please provide a UID/);
+        });
+        
+        test('/settings changes the default region of a chat', async () => {
+            const calls = await bot.send('/settings', { from: ADMIN_USER });
+            assert.match(lastText(calls), /Chat Settings/);
+            
+            await bot.press('set:region:BR', { from: ADMIN_USER, chat: GROUP_CHAT });
+            await bot.send('/stats 3100000001', { from: MEMBER });
+            
+            assert.ok(bot.http.requests.some((request) => request.url.includes('region=BR&uid=3100000001')));
+        });
+        
+        test('/settings is for group admins only', async () => {
+            bot.telegram.chatMemberStatus = 'member';
+            
+            assert.match(lastText(await bot.send('/settings', { from: MEMBER })), /Only group admins/);
+            const calls = await bot.press('set:compact', { from: MEMBER, chat: GROUP_CHAT });
+            assert.match(calls.find((call) => call.method === 'answerCallbackQuery').params.text, /Only group admins/);
+        });
+        
+        test('disabled commands are ignored', async () => {
+            await bot.press('set:command:stats', { from: ADMIN_USER, chat: GROUP_CHAT });
+            
+            assert.deepEqual(await bot.send('/stats 1633864660', { from: MEMBER }), []);
+        });
+        
+        test('disabled commands disable their buttons and inline results', async () => {
+            await bot.press('set:command:guild', { from: ADMIN_USER, chat: GROUP_CHAT });
+            const requests = bot.http.requests.length;
+            
+            const calls = await bot.press('gr:3033195648:IND', { from: MEMBER, chat: GROUP_CHAT });
+            assert.match(calls.find((call) => call.method === 'answerCallbackQuery').params.text, /disabled in this chat/);
+            assert.equal(calls.filter((call) => call.method === 'editMessageText').length, 0);
+            assert.equal(bot.http.requests.length, requests);
+            
+            // Inline queries follow the settings of the user's private chat
+            await bot.press('set:command:stats', { from: USER });
+            assert.deepEqual((await bot.inline('1633864660', { from: USER }))[0].params.results, []);
+        });
+    });
+    
+    describe('/digest', () => {
+        test('posts the changes of registered and watched players from stored snapshots', async () => {
+            await bot.send('/register 1633864660', { chat: GROUP_CHAT, from: ADMIN_USER });
+            await bot.send('/watch 2205436102', { chat: GROUP_CHAT, from: ADMIN_USER });
+            assert.match(lastText(await bot.send('/digest daily 21:00', { chat: GROUP_CHAT, from: ADMIN_USER })), /Daily Digest[\s\S]*every day at 21:00/);
+            
+            // A later snapshot, as a lookup or the watchlist would have stored it
+            const now = Date.now();
+            const later = { uid: '1633864660', region: 'IND', timestamp: now + 2 * 60 * 60 * 1000, nickname: 'SniperKing', level: 68, rank: 'Diamond I', rankingPoints: 2700, kdRatio: 2.6, winRate: 16, totalKills: 8300, totalMatches: 3230, totalWins: 550, guild: 'Night Owls' };
+            fs.appendFileSync(path.join(bot.dataDir, 'snapshots', '1633864660-IND.jsonl'), JSON.stringify(later) + '\n');
+            
+            await bot.app.sendDueDigests(now);
+            assert.equal(bot.telegram.callsTo('sendMessage').filter((call) => /Daily Digest/.test(call.params.text)).length, 1);
+            
+            await bot.app.sendDueDigests(now + 25 * 60 * 60 * 1000);
+            const text = lastText(bot.telegram.calls);
+            assert.match(text, /2 players since/);
+            assert.match(text, /SniperKing: 2,580 → 2,700/);
+            assert.match(text, /SniperKing: Lv 67 → <b>68<\/b>/);
+            assert.match(text, /SniperKing: NightWolves → <b>Night Owls<\/b>/);
+            // The watched player was stored when /watch looked them up and has not changed since
+            assert.doesNotMatch(text, /no stats stored/);
+            
+            assert.match(lastText(await bot.send('/digest', { chat: GROUP_CHAT, from: MEMBER })), /Next one:/);
+        });
+        
+        test('posts from stored snapshots without fetching the players', async () => {
+            await bot.send('/watch 2205436102', { chat: GROUP_CHAT, from: ADMIN_USER });
+            await bot.send('/digest daily 21:00', { chat: GROUP_CHAT, from: ADMIN_USER });
+            const { nextRunAt } = JSON.parse(fs.readFileSync(path.join(bot.dataDir, 'digests.json'), 'utf8'))[GROUP_CHAT.id];
+            fs.rmSync(path.join(bot.dataDir, 'snapshots'), { recursive: true, force: true });
+            const requests = bot.http.requests.length;
+            
+            await bot.app.sendDueDigests(nextRunAt);
+            assert.match(lastText(bot.telegram.calls), /1 players have no stats stored/);
+            assert.equal(bot.http.requests.length, requests);
+        });
+        
+        test('tries a digest again after a pause when posting it failed', async () => {
+            await bot.send('/watch 2205436102', { chat: GROUP_CHAT, from: ADMIN_USER });
+            await bot.send('/digest daily 21:00', { chat: GROUP_CHAT, from: ADMIN_USER });
+            const { nextRunAt } = JSON.parse(fs.readFileSync(path.join(bot.dataDir, 'digests.json'), 'utf8'))[GROUP_CHAT.id];
+            const digestsSent = () => bot.telegram.callsTo('sendMessage').filter((call) => /players since/.test(call.params.text)).length;
+            
+            bot.telegram.failNext('sendMessage', 429, 'Too Many Requests: retry after 5');
+            await bot.app.sendDueDigests(nextRunAt);
+            await bot.app.sendDueDigests(nextRunAt + 60 * 1000);
+            assert.equal(digestsSent(), 1);
+            
+            await bot.app.sendDueDigests(nextRunAt + 5 * 60 * 1000);
+            assert.equal(digestsSent(), 2);
+            
+            // Posted on the second try, so nothing is due any more
+            await bot.app.sendDueDigests(nextRunAt + 6 * 60 * 1000);
+            assert.equal(digestsSent(), 2);
+        });
+        
+        test('drops the digest of a chat that is gone', async () => {
+            await bot.send('/watch 2205436102', { chat: GROUP_CHAT, from: ADMIN_USER });
+            await bot.send('/digest daily 21:00', { chat: GROUP_CHAT, from: ADMIN_USER });
+            const { nextRunAt } = JSON.parse(fs.readFileSync(path.join(bot.dataDir, 'digests.json'), 'utf8'))[GROUP_CHAT.id];
+            
+            bot.telegram.failNext('sendMessage', 400, 'Bad Request: chat not found');
+            await bot.app.sendDueDigests(nextRunAt);
+            assert.match(lastText(await bot.send('/digest off', { chat: GROUP_CHAT, from: ADMIN_USER })), /has no digest/);
+        });
+        
+        test('lets only admins set up the digest of a group', async () => {
+            bot.telegram.chatMemberStatus = 'member';
+            
+            assert.match(lastText(await bot.send('/digest weekly 18:30 sun', { chat: GROUP_CHAT, from: MEMBER })), /Only group admins/);
+            assert.match(lastText(await bot.send('/digest', { chat: GROUP_CHAT, from: MEMBER })), /Player Digest/);
+        });
+        
+        test('checks the time and can be switched off', async () => {
+            assert.match(lastText(await bot.send('/digest daily 25:00')), /Invalid Format/);
+            assert.match(lastText(await bot.send('/digest weekly 18:30 xyz')), /Invalid Format/);
+            assert.match(lastText(await bot.send('/digest weekly 18:30 sun')), /Weekly Digest[\s\S]*every Sunday at 18:30[\s\S]*Nobody is registered/);
+            assert.match(lastText(await bot.send('/digest off')), /switched off/);
+            assert.match(lastText(await bot.send('/digest off')), /has no digest/);
+        });
+    });
+    
+    describe('/status', () => {
+        test('shows the bot internals to admins', async () => {
+            await bot.send('/stats 1633864660', { from: ADMIN_USER });
+            const text = lastText(await bot.send('/status', { from: ADMIN_USER }));
+            
+            assert.match(text, /Bot Status/);
+            assert.match(text, /\/stats: 1/);
+        });
+        
+        test('refuses everyone else', async () => {
+            assert.match(lastText(await bot.send('/status')), /only available to bot admins/);
+        });
+        
+        test('replies in the language of the admin', async () => {
+            await bot.send('/language pt', { from: ADMIN_USER });
+            const text = lastText(await bot.send('/status', { from: ADMIN_USER }));
+            
+            assert.match(text, /Status do Bot/);
+            assert.match(text, /Comandos/);
+            assert.doesNotMatch(text, /Uptime|Memory/);
+        });
+    });
+    
+    describe('buttons', () => {
+        test('switch the stats tab in place', async () => {
+            const calls = await bot.press('p:cs:1633864660:IND', { messageId: 55 });
+            
+            const edit = calls.find((call) => call.method === 'editMessageText');
+            assert.equal(edit.params.message_id, '55');
+            assert.match(edit.params.text, /Clash Squad/);
+            assert.ok(calls.some((call) => call.method === 'answerCallbackQuery'));
+        });
+        
+        test('alert when the player is gone', async () => {
+            const calls = await bot.press('p:overview:9999999999:IND');
+            
+            const answer = calls.find((call) => call.method === 'answerCallbackQuery');
+            assert.equal(answer.params.show_alert, 'true');
+        });
+        
+        test('open a search result', async () => {
+            const text = lastText(await bot.press('s:2205436102:IND'));
+            
+            assert.match(text, /Sniper_Queen/);
+        });
+        
+        test('open the guild of a player', async () => {
+            const text = lastText(await bot.press('g:3033195648:IND'));
+            
+            assert.match(text, /NightWolves/);
+        });
+        
+        test('refuse a region that is not configured', async () => {
+            const requests = bot.http.requests.length;
+            const calls = await bot.press('g:3033195648:..%2Fadmin');
+            
+            const answer = calls.find((call) => call.method === 'answerCallbackQuery');
+            assert.match(answer.params.text, /Invalid Region/);
+            assert.equal(bot.http.requests.length, requests);
+        });
+        
+        test('show the error of a failed source as an alert', async () => {
+            const calls = await bot.press('p:overview:1111111111:IND');
+            
+            const answer = calls.find((call) => call.method === 'answerCallbackQuery');
+            assert.match(answer.params.text, /All stats sources are unavailable/);
+        });
+        
+        test('pick a language', async () => {
+            await bot.press('lang:pt');
+            
+            assert.equal(bot.app.storage.loadJsonFile('languages.json', {})[USER.id], 'pt');
+        });
+    });
+    
+    describe('inline queries', () => {
+        test('offer the player and their guild', async () => {
+            const calls = await bot.inline('1633864660');
+            
+            const results = calls[0].params.results;
+            assert.deepEqual(results.map((result) => result.id), ['player-1633864660-IND', 'guild-3033195648-IND']);
+            assert.match(results[0].input_message_content.message_text, /SniperKing/);
+        });
+        
+        test('offer a guild on its own', async () => {
+            const results = (await bot.inline('guild 3033195648 ind'))[0].params.results;
+            
+            assert.deepEqual(results.map((result) => result.id), ['guild-3033195648-IND']);
+        });
+        
+        test('answer with no results for unknown players, failing sources and other text', async () => {
+            for (const query of ['9999999999', '1111111111', 'hello']) {
+                const calls = await bot.inline(query);
+                assert.deepEqual(calls[0].params.results, []);
+            }
+        });
+    });
+});
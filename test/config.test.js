@@ -0,0 +1,50 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+
+describe('loadConfig', () => {
+    let dir;
+    
+    // Load a config file, with the environment of a valid bot around it
+    function load(fileConfig, env = {}) {
+        const file = path.join(dir, 'config.json');
+        fs.writeFileSync(file, JSON.stringify(fileConfig));
+        return loadConfig({ BOT_TOKEN: '123456:TEST-token', CONFIG_FILE: file, ...env });
+    }
+    
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffbot-config-'));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    test('normalises admin IDs and the webhook URL', () => {
+        const config = load({ adminIds: [42, '7'] }, { BOT_MODE: 'webhook', WEBHOOK_URL: 'https://bot.example.com/', WEBHOOK_SECRET: 'abc' });
+        assert.deepEqual(config.adminIds, ['42', '7']);
+        assert.equal(config.webhook.url, 'https://bot.example.com');
+    });
+    
+    test('reports admin IDs that are not a list instead of crashing', () => {
+        assert.throws(() => load({ adminIds: '123' }), /ADMIN_IDS must be a comma separated list/);
+    });
+    
+    test('reports every section that is not an object', () => {
+        assert.throws(() => load({ http: null, cache: { ttl: [] }, watch: 'often' }), (error) => {
+            assert.match(error.message, /"http" must be an object, got null/);
+            assert.match(error.message, /"cache.ttl" must be an object, got \[\]/);
+            assert.match(error.message, /"watch" must be an object, got "often"/);
+            return true;
+        });
+    });
+    
+    test('needs an https webhook URL', () => {
+        for (const url of ['x', 'http://bot.example.com']) {
+            assert.throws(() => load({}, { BOT_MODE: 'webhook', WEBHOOK_URL: url, WEBHOOK_SECRET: 'abc' }), /public https:\/\/ URL/);
+        }
+    });
+});
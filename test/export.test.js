@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { playerExport, guildExport, toCsv } = require('../lib/export');
+
+const player = {
+    uid: '1633864660',
+    nickname: 'Sniper, "King"',
+    region: 'IND',
+    level: 67,
+    rank: 'Diamond II',
+    rankingPoints: 2580,
+    kdRatio: '2.45',
+    winRate: '12.3',
+    totalMatches: 100,
+    totalWins: 12,
+    totalKills: 245,
+    clanInfo: { clanId: '3033195648', clanName: 'NightWolves' },
+    lastLoginAt: Date.UTC(2024, 5, 10),
+    soloStats: { gamesPlayed: 100, wins: 12, kills: 245, detailedStats: { deaths: 100, headshots: 49 } },
+    quadStats: {},
+    duoStats: null,
+    rankedStats: null,
+    csStats: null,
+    source: 'Free FF API (Primary)'
+};
+
+const snapshots = [
+    { uid: '1633864660', region: 'IND', timestamp: Date.UTC(2024, 5, 1), nickname: 'SniperKing', level: 66, rank: 'Diamond I', rankingPoints: 2400, kdRatio: 2.4, winRate: 12, totalKills: 200, totalMatches: 80, totalWins: 10, guild: 'NightWolves' }
+];
+
+describe('toCsv', () => {
+    test('quotes separators, quotes and line breaks and leaves empty values blank', () => {
+        assert.equal(toCsv([['a,b', 'say "hi"', 'two\nlines', null, 3]]), '"a,b","say ""hi""","two\nlines",,3\r\n');
+    });
+    
+    test('keeps text that looks like a formula from running in a spreadsheet', () => {
+        assert.equal(toCsv([['=HYPERLINK("x")', '-5', -5]]), '"\'=HYPERLINK(""x"")",\'-5,-5\r\n');
+    });
+});
+
+describe('playerExport', () => {
+    test('writes the player, the reported modes and the history as CSV tables', () => {
+        const file = playerExport(player, snapshots, 'csv');
+        const lines = file.content.split('\r\n');
+        
+        assert.equal(file.filename, 'ff-1633864660-IND.csv');
+        assert.equal(file.contentType, 'text/csv');
+        assert.equal(lines[0], 'Player');
+        assert.match(lines[2], /^1633864660,"Sniper, ""King""",IND,67,/);
+        assert.match(lines[2], /,3033195648,NightWolves,100,12,12\.3,245,2\.45,/);
+        assert.match(lines[2], /,2024-06-10T00:00:00\.000Z,Free FF API \(Primary\)$/);
+        assert.deepEqual(lines.filter((line) => /^(solo|duo|squad|ranked|cs),/.test(line)).map((line) => line.split(',')[0]), ['solo', 'squad']);
+        assert.ok(lines.includes('solo,100,12,12,245,100,2.45,49,20,,0,,'));
+        assert.ok(lines.includes('2024-06-01T00:00:00.000Z,SniperKing,66,Diamond I,2400,2.4,12,200,80,10,NightWolves'));
+    });
+    
+    test('writes the normalized player and its snapshots as JSON', () => {
+        const file = playerExport(player, snapshots, 'json', Date.UTC(2024, 5, 11));
+        const data = JSON.parse(file.content);
+        
+        assert.equal(file.filename, 'ff-1633864660-IND.json');
+        assert.equal(data.exportedAt, '2024-06-11T00:00:00.000Z');
+        assert.deepEqual(data.player.soloStats, player.soloStats);
+        assert.deepEqual(data.history, snapshots);
+    });
+});
+
+describe('guildExport', () => {
+    test('lists the guild and its members with their roles', () => {
+        const guild = { clanId: '3033195648', clanName: 'NightWolves', clanLevel: 5, memberNum: 38, capacity: 50, captainId: '1633864660', createAt: '1601510400' };
+        const roster = [{ uid: '1633864660', role: 'captain', nickname: 'SniperKing' }, { uid: '9999999999', role: 'member', nickname: null }];
+        const lines = guildExport(guild, roster, 'IND', 'csv').content.split('\r\n');
+        
+        assert.equal(lines[2], '3033195648,NightWolves,IND,5,38,50,1633864660,2020-10-01T00:00:00.000Z,');
+        assert.deepEqual(lines.slice(4, 8), ['Members', 'uid,role,nickname', '1633864660,captain,SniperKing', '9999999999,member,']);
+    });
+});
@@ -0,0 +1,128 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkup, escapeMarkup } = require('../lib/markup');
+const { combinePlayerData } = require('../lib/players');
+const { formatPlayerStats, formatRankProgress, formatModeStats, playerStatsKeyboard, formatScrimResults, formatDigest, watchChanges } = require('../lib/formatters');
+const accountData = require('./fixtures/free-ff-api/account-1633864660.json');
+const statsData = require('./fixtures/free-ff-api/playerstats-1633864660.json');
+
+const player = combinePlayerData(accountData, statsData, '1633864660', 'IND');
+
+describe('markup', () => {
+    test('renders bold, italic and code as closed HTML tags', () => {
+        assert.equal(renderMarkup('**a** *b* `c<d>`'), '<b>a</b> <i>b</i> <code>c&lt;d&gt;</code>');
+        assert.equal(renderMarkup('**a *b** c*'), '<b>a <i>b</i></b><i> c</i>');
+    });
+    
+    test('escaped text stays literal', () => {
+        const name = '*Sn1per_**';
+        
+        assert.equal(renderMarkup(`**${escapeMarkup(name)}**`), `<b>${name}</b>`);
+        assert.equal(renderMarkup(`**${escapeMarkup(name)}**`, 'plain'), name);
+    });
+});
+
+describe('formatPlayerStats', () => {
+    test('overview shows ranks with progress and the career totals', () => {
+        const text = formatPlayerStats(player);
+        
+        assert.match(text, /Diamond II\*\* — 70 pts to Diamond I/);
+        assert.match(text, /K\/D Ratio: \*\*3\.09\*\*/);
+        assert.match(text, /Total Matches: \*\*3\.2K\*\*/);
+    });
+    
+    test('a mode tab shows the stats of that mode', () => {
+        assert.match(formatPlayerStats(player, 'duo'), /Matches: \*\*305\*\*/);
+        assert.match(formatPlayerStats(player, 'ranked'), /does not report this mode/);
+    });
+    
+    test('a stale copy says how old it is', () => {
+        assert.match(formatPlayerStats({ ...player, stale: true, cachedAt: Date.now() - 2 * 60 * 60 * 1000 }), /⚠️/);
+    });
+    
+    test('is translated', () => {
+        assert.doesNotMatch(formatPlayerStats(player, 'overview', 'pt'), /Basic Information/);
+    });
+});
+
+describe('formatRankProgress and formatModeStats', () => {
+    test('rank progress needs ranking points', () => {
+        assert.equal(formatRankProgress('Diamond II', 0, 'br'), '');
+        assert.match(formatRankProgress('Grandmaster', 4100, 'br'), /top tier/);
+    });
+    
+    test('mode stats leave out what the mode does not report', () => {
+        const text = formatModeStats('CS', { gamesPlayed: 10, wins: 6, kills: 20, detailedStats: { deaths: 10, damage: 3000 } });
+        
+        assert.match(text, /Win Rate: \*\*60\.0%\*\*/);
+        assert.match(text, /K\/D Ratio: \*\*2\.00\*\*/);
+        assert.doesNotMatch(text, /Top 10/);
+    });
+});
+
+describe('playerStatsKeyboard', () => {
+    test('has a tab per reported mode', () => {
+        const buttons = playerStatsKeyboard(player).inline_keyboard.flat().map((button) => button.callback_data);
+        
+        assert.ok(buttons.includes('p:duo:1633864660:IND'));
+        assert.ok(!buttons.includes('p:ranked:1633864660:IND'));
+        assert.ok(buttons.every((data) => !data || Buffer.byteLength(data) <= 64));
+    });
+});
+
+describe('watchChanges', () => {
+    const before = { rank: 'Diamond II', maxRank: 'Diamond I', level: 67, rankingPoints: 2580, guild: 'NightWolves' };
+    
+    test('lists rank, level and guild changes', () => {
+        const changes = watchChanges(before, { ...before, rank: 'Diamond I', level: 68, guild: null }, 50);
+        
+        assert.equal(changes.length, 3);
+        assert.match(changes[0], /Diamond II → Diamond I/);
+        assert.match(changes[2], /NightWolves → None/);
+    });
+    
+    test('ignores ranking point moves below the threshold', () => {
+        assert.deepEqual(watchChanges(before, { ...before, rankingPoints: 2620 }, 50), []);
+        assert.match(watchChanges(before, { ...before, rankingPoints: 2520 }, 50)[0], /\(-60\)/);
+    });
+});
+
+describe('formatScrimResults', () => {
+    test('lines up the ranked players in a table', () => {
+        const results = [
+            { nickname: 'SniperKing', kills: 14, wins: 1, matches: 4 },
+            { nickname: 'A_Very_Long_Nickname', kills: 3, wins: 0, matches: 4 }
+        ];
+        const text = formatScrimResults({ name: 'Weekly' }, results, 1);
+        
+        assert.match(text, /Scrim Results - Weekly/);
+        assert.match(text, /🥇 SniperKing - \*\*14\*\* Kills/);
+        assert.match(text, /\n1  SniperKing        14    1     4  3\.5\n/);
+        assert.match(text, /\n2  A_Very_Long_~      3    0     4  0\.8\n/);
+        assert.match(text, /1 players could not be loaded/);
+    });
+    
+    test('says when no match has been counted yet', () => {
+        assert.match(formatScrimResults({ name: 'Weekly' }, [{ nickname: 'A', kills: 0, wins: 0, matches: 0 }], 0), /No new matches/);
+    });
+});
+
+describe('formatDigest', () => {
+    const empty = { pointGains: [], levelUps: [], kdMovers: [], guildChanges: [] };
+    
+    test('lists the sections that have changes', () => {
+        const change = { nickname: 'SniperKing', before: { rankingPoints: 2400, level: 66, kdRatio: 2.4 }, after: { rankingPoints: 2580, level: 67, kdRatio: 2.45 }, points: 180, kd: 0.05 };
+        const text = formatDigest('weekly', { ...empty, pointGains: [change], kdMovers: [change] }, Date.UTC(2026, 9, 12), 3, 1);
+        
+        assert.match(text, /Weekly Digest/);
+        assert.match(text, /3 players since/);
+        assert.match(text, /SniperKing: 2,400 → 2,580 \(\*\*\+180\*\*\)/);
+        assert.match(text, /SniperKing: 2\.40 → 2\.45 \(\*\*\+0\.05\*\*\)/);
+        assert.doesNotMatch(text, /New Levels|Guild Changes/);
+        assert.match(text, /1 players have no stats stored/);
+    });
+    
+    test('says when nothing changed', () => {
+        assert.match(formatDigest('daily', empty, Date.now(), 2, 0), /No changes this time/);
+    });
+});
@@ -0,0 +1,126 @@
+// Local stand-in for the Telegram Bot API
+// Point node-telegram-bot-api at it with the baseApiUrl option. Every API call is
+// recorded in calls as { method, params }, and answered the way Telegram would.
+
+const http = require('http');
+
+// Parameters of a request - node-telegram-bot-api sends forms, and for file uploads
+// a multipart body with the other parameters in the query string. Uploaded files
+// become { filename, size, content } with content as a Buffer.
+function parseParams(query, body, contentType) {
+    const params = Object.fromEntries(new URLSearchParams(query));
+    
+    if (/multipart\/form-data/.test(contentType)) {
+        const fieldPattern = /name="([^"]+)"(?:; filename="([^"]*)")?\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*?)\r\n--/g;
+        for (const [, name, filename, value] of body.toString('latin1').matchAll(fieldPattern)) {
+            params[name] = filename === undefined ? Buffer.from(value, 'latin1').toString('utf8') : { filename, size: value.length, content: Buffer.from(value, 'latin1') };
+        }
+    } else {
+        for (const [name, value] of new URLSearchParams(body.toString('utf8'))) {
+            params[name] = value;
+        }
+    }
+    
+    // JSON-encoded parameters are decoded so tests can look into keyboards and results
+    for (const name of ['reply_markup', 'results']) {
+        if (typeof params[name] === 'string') {
+            params[name] = JSON.parse(params[name]);
+        }
+    }
+    
+    return params;
+}
+
+// Function to start a fake Bot API server on a free local port
+async function startFakeTelegram() {
+    const calls = [];
+    const failures = [];
+    let nextMessageId = 1000;
+    
+    const fake = {
+        calls,
+        url: null,
+        // Status getChatMember reports for everyone, e.g. 'member' to test admin-only commands
+        chatMemberStatus: 'administrator',
+        
+        // Let the next call of method fail like Telegram does, e.g. 400 "Bad Request: can't parse entities"
+        failNext(method, errorCode, description) {
+            failures.push({ method, errorCode, description });
+        },
+        
+        // Calls of one method, or of all methods
+        callsTo(method) {
+            return calls.filter((call) => call.method === method);
+        },
+        
+        reset() {
+            calls.length = 0;
+            failures.length = 0;
+        },
+        
+        async close() {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    };
+    
+    const message = (params, fields = {}) => ({
+        message_id: params.message_id ? Number(params.message_id) : nextMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: Number(params.chat_id) },
+        ...fields
+    });
+    
+    const results = {
+        sendMessage: (params) => message(params, { text: params.text }),
+        editMessageText: (params) => message(params, { text: params.text }),
+        sendPhoto: (params) => message(params, { caption: params.caption, photo: [] }),
+        sendDocument: (params) => message(params, { caption: params.caption, document: params.document }),
+        deleteMessage: () => true,
+        answerCallbackQuery: () => true,
+        answerInlineQuery: () => true,
+        setWebHook: () => true,
+        deleteWebHook: () => true,
+        getChatMember: (params) => ({ user: { id: Number(params.user_id), is_bot: false }, status: fake.chatMemberStatus }),
+        getMe: () => ({ id: 1, is_bot: true, first_name: 'Test Bot', username: 'test_bot' })
+    };
+    
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const [pathname, query = ''] = req.url.split('?');
+            const method = pathname.split('/').pop();
+            const params = parseParams(query, Buffer.concat(chunks), req.headers['content-type'] || '');
+            calls.push({ method, params });
+            
+            const send = (status, body) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(body));
+            };
+            
+            const failure = failures.findIndex((item) => item.method === method);
+            if (failure !== -1) {
+                const { errorCode, description } = failures.splice(failure, 1)[0];
+                send(errorCode, { ok: false, error_code: errorCode, description: description });
+                return;
+            }
+            
+            if (!results[method]) {
+                send(404, { ok: false, error_code: 404, description: 'Not Found: method not found' });
+                return;
+            }
+            
+            send(200, { ok: true, result: results[method](params) });
+        });
+    });
+    
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    fake.url = `http://127.0.0.1:${server.address().port}`;
+    
+    return fake;
+}
+
+module.exports = {
+    startFakeTelegram
+};
@@ -0,0 +1,108 @@
+// Offline stand-in for axios, answering stats source requests from recorded fixtures
+// Routes map a full request URL to { status, file } (a file in test/fixtures) or
+// { networkError } for a source that cannot be reached at all. Unrouted URLs get a 404.
+// A list of responses is answered in order, repeating the last one.
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const PRIMARY = 'https://free-ff-api-src-5plp.onrender.com/api/v1';
+const COMMUNITY = 'https://www.freefirecommunity.com';
+
+// Recorded responses of both configured sources
+const defaultRoutes = {
+    // 1633864660 - complete primary API player with ranked and Clash Squad stats, captain of 3033195648
+    [`${PRIMARY}/account?region=IND&uid=1633864660`]: { file: 'free-ff-api/account-1633864660.json' },
+    [`${PRIMARY}/playerstats?region=IND&uid=1633864660`]: { file: 'free-ff-api/playerstats-1633864660.json' },
+    [`${PRIMARY}/playerstats?region=IND&uid=1633864660&matchmode=RANKED`]: { file: 'free-ff-api/playerstats-1633864660-ranked.json' },
+    [`${PRIMARY}/playerstats?region=IND&uid=1633864660&gamemode=cs`]: { file: 'free-ff-api/playerstats-1633864660-cs.json' },
+    
+    // 2205436102 - primary API player whose ranked and Clash Squad requests fail
+    [`${PRIMARY}/account?region=IND&uid=2205436102`]: { file: 'free-ff-api/account-2205436102.json' },
+    [`${PRIMARY}/playerstats?region=IND&uid=2205436102`]: { file: 'free-ff-api/playerstats-2205436102.json' },
+    [`${PRIMARY}/playerstats?region=IND&uid=2205436102&matchmode=RANKED`]: { status: 502, file: 'free-ff-api/bad-gateway.html' },
+    [`${PRIMARY}/playerstats?region=IND&uid=2205436102&gamemode=cs`]: { status: 502, file: 'free-ff-api/bad-gateway.html' },
+    
+    // 3100000001 - unknown to the primary API, only on the community site
+    [`${PRIMARY}/account?region=BR&uid=3100000001`]: { file: 'free-ff-api/account-not-found.json' },
+    [`${COMMUNITY}/player/3100000001?region=BR`]: { file: 'ff-community/player-3100000001.html' },
+    
+    // 9999999999 - no such player anywhere
+    [`${PRIMARY}/account?region=IND&uid=9999999999`]: { file: 'free-ff-api/account-not-found.json' },
+    [`${COMMUNITY}/player/9999999999?region=IND`]: { status: 404, file: 'ff-community/not-found.html' },
+    
+    // 1111111111 - both sources are down
+    [`${PRIMARY}/account?region=IND&uid=1111111111`]: { status: 502, file: 'free-ff-api/bad-gateway.html' },
+    [`${COMMUNITY}/player/1111111111?region=IND`]: { networkError: 'ECONNRESET' },
+    
+    // 2222222222 - the primary API cuts off its answer, the community site has the player
+    [`${PRIMARY}/account?region=IND&uid=2222222222`]: { file: 'free-ff-api/account-truncated.json' },
+    [`${COMMUNITY}/player/2222222222?region=IND`]: { file: 'ff-community/player-2222222222.html' },
+    
+    // Guilds - one complete, one unknown, one answered with an HTML error page, one with a 500
+    [`${PRIMARY}/guildInfo?region=IND&guildID=3033195648`]: { file: 'free-ff-api/guildInfo-3033195648.json' },
+    [`${PRIMARY}/guildInfo?region=IND&guildID=4040404040`]: { file: 'free-ff-api/guildInfo-not-found.json' },
+    [`${PRIMARY}/guildInfo?region=IND&guildID=6000000000`]: { file: 'free-ff-api/maintenance.html' },
+    [`${PRIMARY}/guildInfo?region=IND&guildID=5000000000`]: { status: 500, file: 'free-ff-api/internal-error.json' },
+    
+    // Nickname search on the community site
+    [`${COMMUNITY}/player-search?q=Sniper`]: { file: 'ff-community/player-search-sniper.html' },
+    [`${COMMUNITY}/player-search?q=Sniper&region=IND`]: { file: 'ff-community/player-search-sniper.html' },
+    [`${COMMUNITY}/player-search?q=Nobody`]: { file: 'ff-community/player-search-empty.html' }
+};
+
+// Body of a fixture the way axios hands it out - JSON is parsed, anything
+// that does not parse (HTML, a cut-off body) stays text
+function readFixture(file) {
+    const body = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return body;
+    }
+}
+
+// Function to create the fake HTTP client
+// Every request is recorded in requests, routes can be added or replaced with route()
+function createFixtureHttp(routes = {}) {
+    const table = { ...defaultRoutes, ...routes };
+    const requests = [];
+    
+    return {
+        requests,
+        
+        route(url, response) {
+            table[url] = response;
+        },
+        
+        async get(url, options = {}) {
+            requests.push({ url, options });
+            const entry = table[url] || { status: 404, file: 'ff-community/not-found.html' };
+            const route = Array.isArray(entry) ? (entry.length > 1 ? entry.shift() : entry[0]) : entry;
+            
+            if (route.networkError) {
+                const error = new Error(`read ${route.networkError}`);
+                error.code = route.networkError;
+                throw error;
+            }
+            
+            const response = { status: route.status || 200, data: readFixture(route.file), headers: {} };
+            const validateStatus = options.validateStatus || ((status) => status >= 200 && status < 300);
+            if (!validateStatus(response.status)) {
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.response = response;
+                throw error;
+            }
+            
+            return response;
+        }
+    };
+}
+
+module.exports = {
+    PRIMARY,
+    COMMUNITY,
+    createFixtureHttp
+};
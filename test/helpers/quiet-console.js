@@ -0,0 +1,9 @@
+// The bot logs every request and every handled failure - keep test output to the
+// test results unless TEST_LOGS=1 is set
+
+const { mock } = require('node:test');
+
+if (!process.env.TEST_LOGS) {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+}
@@ -0,0 +1,113 @@
+// A complete bot for tests - the real app, talking to the fake Bot API server and
+// answering stats source requests from fixtures, with its data in a temporary directory
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TelegramBot = require('node-telegram-bot-api');
+const { loadConfig } = require('../../config');
+const { createApp } = require('../../lib/app');
+const { startFakeTelegram } = require('./fake-telegram');
+const { createFixtureHttp } = require('./fixture-http');
+require('./quiet-console');
+
+const TOKEN = '123456:TEST-token';
+
+// User and chat most updates come from - user 42 is an admin in test/fixtures/config.json
+const ADMIN_USER = { id: 42, is_bot: false, first_name: 'Admin', language_code: 'en' };
+const USER = { id: 7, is_bot: false, first_name: 'Player', language_code: 'en' };
+const PRIVATE_CHAT = { id: 7, type: 'private' };
+const GROUP_CHAT = { id: -100200, type: 'supergroup', title: 'Squad' };
+
+// Function to create a test bot
+// env adds environment variables to the config, routes add or replace fixture routes
+async function createTestBot({ env = {}, routes = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffbot-test-'));
+    const telegram = await startFakeTelegram();
+    const http = createFixtureHttp(routes);
+    
+    let app;
+    try {
+        const config = loadConfig({
+            BOT_TOKEN: TOKEN,
+            DATA_DIR: dataDir,
+            CONFIG_FILE: path.join(__dirname, '..', 'fixtures', 'config.json'),
+            ...env
+        });
+        const client = new TelegramBot(TOKEN, { polling: false, baseApiUrl: telegram.url });
+        app = createApp({ config, telegram: client, http });
+    } catch (error) {
+        // A fake server left listening would keep the test run from ever exiting
+        await telegram.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        throw error;
+    }
+    
+    let nextUpdateId = 1;
+    let nextMessageId = 1;
+    
+    // Deliver one update and wait until every handler it started has finished
+    async function deliver(update) {
+        app.bot.processUpdate({ update_id: nextUpdateId++, ...update });
+        await app.settled();
+    }
+    
+    return {
+        app,
+        telegram,
+        http,
+        dataDir,
+        
+        // Send a message and return the Bot API calls it caused
+        async send(text, { from = USER, chat = from === USER ? PRIVATE_CHAT : GROUP_CHAT } = {}) {
+            const before = telegram.calls.length;
+            await deliver({
+                message: { message_id: nextMessageId++, date: Math.floor(Date.now() / 1000), from, chat, text }
+            });
+            return telegram.calls.slice(before);
+        },
+        
+        // Press an inline keyboard button on a message the bot sent
+        async press(data, { from = USER, chat = PRIVATE_CHAT, messageId = 1 } = {}) {
+            const before = telegram.calls.length;
+            await deliver({
+                callback_query: {
+                    id: String(nextUpdateId),
+                    from,
+                    data,
+                    chat_instance: '1',
+                    message: { message_id: messageId, date: Math.floor(Date.now() / 1000), chat, text: '' }
+                }
+            });
+            return telegram.calls.slice(before);
+        },
+        
+        // Type an inline query, e.g. "@bot 1633864660"
+        async inline(query, { from = USER } = {}) {
+            const before = telegram.calls.length;
+            await deliver({ inline_query: { id: String(nextUpdateId), from, query, offset: '' } });
+            return telegram.calls.slice(before);
+        },
+        
+        async close() {
+            await app.stop();
+            await telegram.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Text the user ends up seeing - the last message sent or edited
+function lastText(calls) {
+    const texts = calls.filter((call) => ['sendMessage', 'editMessageText'].includes(call.method));
+    return texts.length > 0 ? texts[texts.length - 1].params.text : undefined;
+}
+
+module.exports = {
+    ADMIN_USER,
+    USER,
+    PRIVATE_CHAT,
+    GROUP_CHAT,
+    createTestBot,
+    lastText
+};
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScheduler, nextTimeOfDay } = require('../lib/jobs');
+const { createStorage } = require('../lib/storage');
+require('./helpers/quiet-console');
+
+describe('createScheduler', () => {
+    test('keeps the last run of every job across restarts', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffbot-jobs-'));
+        const storage = createStorage(dataDir);
+        
+        try {
+            const first = createScheduler(storage);
+            first.scheduleJob('cleanup', 60 * 60 * 1000, async () => {});
+            await first.runJob('cleanup');
+            first.stopJobs();
+            
+            const lastRun = storage.loadJsonFile('jobs.json', {}).cleanup;
+            assert.ok(lastRun > 0);
+            
+            const second = createScheduler(storage);
+            second.scheduleJob('cleanup', 60 * 60 * 1000, async () => {});
+            second.stopJobs();
+            assert.equal(second.jobs.get('cleanup').lastRun, lastRun);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+    
+    test('does not write jobs.json for jobs that run every minute', async () => {
+        const saved = [];
+        const storage = { loadJsonFile: () => ({}), saveJsonFile: (fileName, data) => saved.push({ ...data }) };
+        
+        const scheduler = createScheduler(storage);
+        scheduler.scheduleJob('digests', 60 * 1000, async () => {});
+        scheduler.scheduleJob('cleanup', 60 * 60 * 1000, async () => {});
+        await scheduler.runJob('digests');
+        await scheduler.runJob('cleanup');
+        scheduler.stopJobs();
+        
+        assert.equal(saved.length, 1);
+        assert.deepEqual(Object.keys(saved[0]), ['cleanup']);
+    });
+    
+    test('runs a job that came due while the bot was down right away', async () => {
+        const storage = { loadJsonFile: () => ({ overdue: Date.now() - 60 * 60 * 1000, recent: Date.now() }), saveJsonFile: () => {} };
+        const runs = [];
+        
+        const scheduler = createScheduler(storage);
+        scheduler.scheduleJob('overdue', 10 * 60 * 1000, async () => runs.push('overdue'));
+        scheduler.scheduleJob('recent', 10 * 60 * 1000, async () => runs.push('recent'));
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        scheduler.stopJobs();
+        
+        assert.deepEqual(runs, ['overdue']);
+    });
+    
+    test('does not let a job overlap itself', async () => {
+        let calls = 0;
+        const scheduler = createScheduler();
+        scheduler.scheduleJob('slow', 60 * 1000, () => new Promise((resolve) => {
+            calls++;
+            setTimeout(resolve, 10);
+        }));
+        
+        await Promise.all([scheduler.runJob('slow'), scheduler.runJob('slow')]);
+        scheduler.stopJobs();
+        
+        assert.equal(calls, 1);
+    });
+});
+
+describe('nextTimeOfDay', () => {
+    // Local times, so the tests pass in any time zone
+    const monday = new Date(2026, 9, 19, 12, 0).getTime();
+    
+    test('finds the time later today, or tomorrow once it has passed', () => {
+        assert.equal(nextTimeOfDay(21, 0, null, monday), new Date(2026, 9, 19, 21, 0).getTime());
+        assert.equal(nextTimeOfDay(9, 30, null, monday), new Date(2026, 9, 20, 9, 30).getTime());
+        assert.equal(nextTimeOfDay(12, 0, null, monday), new Date(2026, 9, 20, 12, 0).getTime());
+    });
+    
+    test('waits for the weekday', () => {
+        assert.equal(nextTimeOfDay(18, 30, 0, monday), new Date(2026, 9, 25, 18, 30).getTime());
+        assert.equal(nextTimeOfDay(8, 0, 1, monday), new Date(2026, 9, 26, 8, 0).getTime());
+        assert.equal(nextTimeOfDay(20, 0, 1, monday), new Date(2026, 9, 19, 20, 0).getTime());
+    });
+});
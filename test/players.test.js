@@ -0,0 +1,145 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { combinePlayerData, findRankTier, resolveRanks, rankProgress, guildMemberIds, rankScrimResults, digestHighlights, nicknameMatchScore, parseStatNumber, sumModeStats, mapWithConcurrency } = require('../lib/players');
+const accountData = require('./fixtures/free-ff-api/account-1633864660.json');
+const statsData = require('./fixtures/free-ff-api/playerstats-1633864660.json');
+
+describe('combinePlayerData', () => {
+    test('adds up the career modes', () => {
+        const player = combinePlayerData(accountData, statsData, '1633864660', 'IND');
+        
+        assert.equal(player.totalMatches, 3222);
+        assert.equal(player.totalWins, 549);
+        assert.equal(player.totalKills, 8250);
+        assert.equal(player.kdRatio, (8250 / 2673).toFixed(2));
+        assert.equal(player.winRate, '17.0');
+        assert.equal(player.headshots, 702 + 251 + 1874);
+    });
+    
+    test('names the ranks of both ranked modes', () => {
+        const player = combinePlayerData(accountData, statsData, '1633864660', 'IND');
+        
+        assert.equal(player.rank, 'Diamond II');
+        assert.equal(player.maxRank, 'Diamond I');
+        assert.equal(player.csRank, 'Platinum II');
+        assert.equal(player.csMaxRank, 'Platinum I');
+    });
+    
+    test('fills in what an empty response leaves out', () => {
+        const player = combinePlayerData({}, null, '123', 'BR');
+        
+        assert.equal(player.nickname, 'Unknown');
+        assert.equal(player.uid, '123');
+        assert.equal(player.region, 'BR');
+        assert.equal(player.totalMatches, 0);
+        assert.equal(player.kdRatio, '0');
+        assert.equal(player.csRank, null);
+        assert.equal(player.duoStats, null);
+    });
+});
+
+describe('rank ladder', () => {
+    test('finds tiers by code, by name and by points', () => {
+        assert.equal(findRankTier(221).name, 'Heroic');
+        assert.equal(findRankTier('Grand Master').name, 'Grandmaster');
+        assert.equal(findRankTier(999, 2400).name, 'Diamond III');
+        assert.equal(findRankTier(999, 2400, 'cs').name, 'Diamond I');
+        assert.equal(findRankTier(999), null);
+    });
+    
+    test('never shows the max rank below the current rank', () => {
+        assert.deepEqual(resolveRanks(219, 215, 2700, 'br'), { rank: 'Diamond I', maxRank: 'Diamond I' });
+        assert.deepEqual(resolveRanks(215, undefined, 2150, 'br'), { rank: 'Platinum II', maxRank: 'Platinum II' });
+    });
+    
+    test('works out the distance to the next tier', () => {
+        const progress = rankProgress('Diamond II', 2580);
+        
+        assert.equal(progress.next.name, 'Diamond I');
+        assert.equal(progress.pointsToNext, 70);
+        assert.ok(Math.abs(progress.fraction - 80 / 150) < 1e-9);
+        assert.equal(rankProgress('Grandmaster', 4200).next, null);
+        assert.equal(rankProgress('Rank 999', 1000), null);
+    });
+});
+
+describe('helpers', () => {
+    test('guildMemberIds lists the captain, deputies and members once each', () => {
+        const members = guildMemberIds({ captainId: '1', deputyCaptain: ['2'], members: ['1', '2', { accountId: '3' }, '0'] });
+        
+        assert.deepEqual(members, [
+            { uid: '1', role: 'captain' },
+            { uid: '2', role: 'deputy' },
+            { uid: '3', role: 'member' }
+        ]);
+    });
+    
+    test('rankScrimResults ranks by kills, then wins, then fewest matches', () => {
+        const start = { kills: 100, wins: 10, matches: 50 };
+        const results = rankScrimResults([
+            { nickname: 'A', start, end: { kills: 105, wins: 10, matches: 53 } },
+            { nickname: 'B', start, end: { kills: 108, wins: 11, matches: 54 } },
+            { nickname: 'C', start, end: { kills: 105, wins: 11, matches: 54 } },
+            { nickname: 'D', start, end: { kills: 90, wins: 9, matches: 40 } }
+        ]);
+        
+        assert.deepEqual(results.map((entry) => [entry.nickname, entry.kills, entry.wins, entry.matches]), [
+            ['B', 8, 1, 4],
+            ['C', 5, 1, 4],
+            ['A', 5, 0, 3],
+            ['D', 0, 0, 0]
+        ]);
+    });
+    
+    test('digestHighlights picks point gains, level-ups, K/D moves and guild changes', () => {
+        const snapshot = { level: 60, rankingPoints: 2000, kdRatio: 2, guild: 'NightWolves' };
+        const highlights = digestHighlights([
+            { nickname: 'A', before: snapshot, after: { ...snapshot, rankingPoints: 2100, level: 61 } },
+            { nickname: 'B', before: snapshot, after: { ...snapshot, rankingPoints: 2300, kdRatio: 1.9, guild: null } },
+            { nickname: 'C', before: { level: 60, rankingPoints: 2000, kdRatio: 2 }, after: { ...snapshot, rankingPoints: 1900, kdRatio: 2.005 } }
+        ]);
+        
+        assert.deepEqual(highlights.pointGains.map((change) => [change.nickname, change.points]), [['B', 300], ['A', 100]]);
+        assert.deepEqual(highlights.levelUps.map((change) => change.nickname), ['A']);
+        assert.deepEqual(highlights.kdMovers.map((change) => change.nickname), ['B']);
+        assert.deepEqual(highlights.guildChanges.map((change) => change.nickname), ['B']);
+    });
+    
+    test('nicknameMatchScore prefers exact and prefix matches', () => {
+        assert.equal(nicknameMatchScore('sniperking', 'SniperKing'), 1);
+        assert.equal(nicknameMatchScore('Sniper', 'SniperKing'), 0.9);
+        assert.equal(nicknameMatchScore('King', 'SniperKing'), 0.8);
+        assert.ok(nicknameMatchScore('SnipreKing', 'SniperKing') > 0.5);
+        assert.equal(nicknameMatchScore('', 'SniperKing'), 0);
+    });
+    
+    test('parseStatNumber reads scraped numbers', () => {
+        assert.equal(parseStatNumber('1,234'), 1234);
+        assert.equal(parseStatNumber('12.5K'), 12500);
+        assert.equal(parseStatNumber('Lv. 49'), 49);
+        assert.equal(parseStatNumber(''), 0);
+    });
+    
+    test('sumModeStats adds numbers and skips the rest', () => {
+        const total = sumModeStats([
+            { gamesPlayed: 2, wins: 1, kills: 5, detailedStats: { deaths: 1, label: 'x' } },
+            { gamesPlayed: 3, kills: 1, detailedStats: { deaths: 2 } }
+        ]);
+        
+        assert.deepEqual(total, { gamesPlayed: 5, wins: 1, kills: 6, detailedStats: { deaths: 3 } });
+    });
+    
+    test('mapWithConcurrency keeps the order and the limit', async () => {
+        let running = 0;
+        let peak = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+            peak = Math.max(peak, ++running);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+            running--;
+            return index;
+        });
+        
+        assert.deepEqual(results, [0, 1, 2, 3]);
+        assert.equal(peak, 2);
+    });
+});
@@ -0,0 +1,96 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createServer } = require('../lib/server');
+const { createMetrics } = require('../lib/metrics');
+require('./helpers/quiet-console');
+
+// POST a body to the server, resolving with the status code
+function post(port, path, body, headers) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, path, method: 'POST', headers }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('webhook', () => {
+    let server;
+    let port;
+    let updates;
+    
+    beforeEach(async () => {
+        updates = [];
+        const config = { mode: 'webhook', webhook: { secret: 'abc123', path: '/telegram-webhook' }, metricsToken: null };
+        const bot = { processUpdate: (update) => updates.push(update) };
+        server = createServer({ config, bot, metrics: createMetrics(), healthReport: () => ({}), renderMetrics: () => '' });
+        await new Promise((resolve) => server.listen(0, resolve));
+        port = server.address().port;
+    });
+    
+    afterEach(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+    
+    test('passes updates with the right secret on to the bot', async () => {
+        const status = await post(port, '/telegram-webhook', JSON.stringify({ update_id: 1 }), { 'X-Telegram-Bot-Api-Secret-Token': 'abc123' });
+        
+        assert.equal(status, 200);
+        assert.deepEqual(updates, [{ update_id: 1 }]);
+    });
+    
+    test('rejects a missing or wrong secret', async () => {
+        assert.equal(await post(port, '/telegram-webhook', '{}', {}), 401);
+        assert.equal(await post(port, '/telegram-webhook', '{}', { 'X-Telegram-Bot-Api-Secret-Token': 'abc124' }), 401);
+        assert.deepEqual(updates, []);
+    });
+    
+    // The header arrives as 6 latin1 characters but 8 UTF-8 bytes
+    test('rejects a non-ASCII secret of the same length without crashing', async () => {
+        assert.equal(await post(port, '/telegram-webhook', '{}', { 'X-Telegram-Bot-Api-Secret-Token': 'abc1é' }), 401);
+        assert.equal(await post(port, '/telegram-webhook', JSON.stringify({ update_id: 2 }), { 'X-Telegram-Bot-Api-Secret-Token': 'abc123' }), 200);
+    });
+    
+    test('rejects JSON that is not an update', async () => {
+        for (const body of ['null', '[]', '"text"', '{"update_id":"1"}', '{']) {
+            assert.equal(await post(port, '/telegram-webhook', body, { 'X-Telegram-Bot-Api-Secret-Token': 'abc123' }), 400);
+        }
+        assert.deepEqual(updates, []);
+        assert.equal(await post(port, '/telegram-webhook', JSON.stringify({ update_id: 3 }), { 'X-Telegram-Bot-Api-Secret-Token': 'abc123' }), 200);
+    });
+});
+
+describe('metrics', () => {
+    let server;
+    let port;
+    
+    // GET a path, resolving with the status code
+    function get(path, headers) {
+        return new Promise((resolve, reject) => {
+            http.get({ port, path, headers }, (res) => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            }).on('error', reject);
+        });
+    }
+    
+    beforeEach(async () => {
+        const config = { mode: 'polling', webhook: {}, metricsToken: 'metrics-token' };
+        server = createServer({ config, bot: {}, metrics: createMetrics(), healthReport: () => ({}), renderMetrics: () => '' });
+        await new Promise((resolve) => server.listen(0, resolve));
+        port = server.address().port;
+    });
+    
+    afterEach(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+    
+    test('needs the bearer token', async () => {
+        assert.equal(await get('/metrics', {}), 401);
+        assert.equal(await get('/metrics', { Authorization: 'Bearer metrics-tokem' }), 401);
+        assert.equal(await get('/metrics', { Authorization: 'Bearer metrics-token' }), 200);
+    });
+});
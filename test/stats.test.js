@@ -0,0 +1,224 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const { GUILD_MEMBER_LIMIT, createStatsClient } = require('../lib/stats');
+const { createStorage } = require('../lib/storage');
+const { createMetrics } = require('../lib/metrics');
+const { PRIMARY, COMMUNITY, createFixtureHttp } = require('./helpers/fixture-http');
+require('./helpers/quiet-console');
+
+describe('stats client', () => {
+    let dataDir;
+    let http;
+    let metrics;
+    let stats;
+    
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffbot-stats-'));
+        http = createFixtureHttp();
+        metrics = createMetrics();
+        const config = loadConfig({ BOT_TOKEN: '123456:TEST-token', DATA_DIR: dataDir, CONFIG_FILE: path.join(__dirname, 'fixtures', 'config.json') });
+        stats = createStatsClient({ config, http, storage: createStorage(dataDir), metrics });
+    });
+    
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    
+    describe('fetchPlayerStats', () => {
+        test('combines account and career stats from the primary API', async () => {
+            const player = await stats.fetchPlayerStats('1633864660', 'IND');
+            
+            assert.equal(player.nickname, 'SniperKing');
+            assert.equal(player.source, 'Free FF API (Primary)');
+            assert.equal(player.rank, 'Diamond II');
+            assert.equal(player.maxRank, 'Diamond I');
+            assert.equal(player.csRank, 'Platinum II');
+            assert.equal(player.totalMatches, 812 + 305 + 2105);
+            assert.equal(player.totalKills, 2140 + 790 + 5320);
+            assert.deepEqual(player.extraModes, ['rankedStats', 'csStats']);
+            assert.equal(player.clanInfo.clanId, '3033195648');
+            assert.equal(player.lastLoginAt, 1718035200 * 1000);
+        });
+        
+        test('hides modes whose optional request failed', async () => {
+            const player = await stats.withExtraModes(await stats.fetchPlayerStats('2205436102', 'IND'));
+            
+            assert.equal(player.nickname, 'Sniper_Queen');
+            assert.equal(player.rankedStats, null);
+            assert.equal(player.csStats, null);
+            assert.equal(player.duoStats, null);
+            assert.deepEqual(player.extraModes, []);
+        });
+        
+        test('falls back to the community site when the primary API does not know the player', async () => {
+            const player = await stats.fetchPlayerStats('3100000001', 'BR');
+            
+            assert.equal(player.nickname, 'Lobo_BR');
+            assert.equal(player.source, 'FF Community Stats');
+            assert.equal(player.level, 49);
+            assert.equal(player.rank, 'Gold I');
+            assert.equal(player.csRank, 'Grandmaster');
+            assert.equal(player.totalMatches, 310 + 1204);
+            assert.equal(player.csStats.kills, 1990);
+            assert.equal(player.clanInfo.clanName, 'Matilha');
+        });
+        
+        test('returns null when no source has the player', async () => {
+            assert.equal(await stats.fetchPlayerStats('9999999999', 'IND'), null);
+        });
+        
+        test('throws when every source fails', async () => {
+            await assert.rejects(stats.fetchPlayerStats('1111111111', 'IND'), /All stats sources are unavailable/);
+            
+            assert.equal(stats.sourceHealth.get('Free FF API (Primary)').reachable, true);
+            assert.equal(stats.sourceHealth.get('FF Community Stats').reachable, false);
+            assert.equal(http.requests.filter((request) => request.url === `${PRIMARY}/account?region=IND&uid=1111111111`).length, 3);
+        });
+        
+        test('treats a cut-off JSON body as a failed source', async () => {
+            const player = await stats.fetchPlayerStats('2222222222', 'IND');
+            
+            assert.equal(player.source, 'FF Community Stats');
+            assert.equal(player.nickname, 'CutOff');
+            assert.ok(http.requests.some((request) => request.url === `${PRIMARY}/account?region=IND&uid=2222222222`));
+        });
+        
+        test('rejects an account without basicInfo instead of showing an unknown player', async () => {
+            http.route(`${PRIMARY}/account?region=IND&uid=1633864660`, { file: 'free-ff-api/account-without-basic-info.json' });
+            http.route(`${COMMUNITY}/player/1633864660?region=IND`, { networkError: 'ETIMEDOUT' });
+            
+            await assert.rejects(stats.fetchPlayerStats('1633864660', 'IND'), /All stats sources are unavailable/);
+            assert.match(stats.sourceHealth.get('Free FF API (Primary)').lastError, /returned bad data \(response\.basicInfo is missing\)/);
+        });
+        
+        test('does not report a player as unknown when the source that failed might have them', async () => {
+            http.route(`${PRIMARY}/account?region=IND&uid=1633864660`, { file: 'free-ff-api/account-without-basic-info.json' });
+            http.route(`${COMMUNITY}/player/1633864660?region=IND`, { status: 404, file: 'ff-community/not-found.html' });
+            
+            await assert.rejects(stats.fetchPlayerStats('1633864660', 'IND'), /Stats sources are unavailable \(Free FF API \(Primary\)\)/);
+        });
+        
+        test('requests account and career stats at the same time', async () => {
+            let running = 0;
+            let peak = 0;
+            const get = http.get;
+            http.get = async (url, options) => {
+                peak = Math.max(peak, ++running);
+                await new Promise((resolve) => setTimeout(resolve, 5));
+                running--;
+                return get(url, options);
+            };
+            
+            await stats.fetchPlayerStats('1633864660', 'IND');
+            assert.equal(peak, 2);
+        });
+        
+        test('requests the extra modes only when asked for, and caches them', async () => {
+            const player = await stats.fetchPlayerStats('1633864660', 'IND');
+            const extraRequests = () => http.requests.filter((request) => /matchmode|gamemode/.test(request.url)).length;
+            assert.equal(extraRequests(), 0);
+            assert.equal(player.rankedStats, null);
+            
+            const ranked = await stats.withExtraModes(player, ['rankedStats']);
+            assert.equal(ranked.rankedStats.gamesPlayed, 400);
+            assert.deepEqual(ranked.extraModes, ['csStats']);
+            assert.equal(extraRequests(), 1);
+            
+            const full = await stats.withExtraModes(player);
+            assert.equal(full.csStats.wins, 88);
+            assert.equal(extraRequests(), 2);
+        });
+        
+        test('rejects a truncated body when it is the only source left', async () => {
+            http.route(`${COMMUNITY}/player/2222222222?region=IND`, { status: 503, file: 'free-ff-api/bad-gateway.html' });
+            
+            await assert.rejects(stats.fetchPlayerStats('2222222222', 'IND'), /All stats sources are unavailable/);
+        });
+        
+        test('serves repeated lookups from the cache', async () => {
+            await stats.fetchPlayerStats('1633864660', 'IND');
+            const requests = http.requests.length;
+            await stats.fetchPlayerStats('1633864660', 'IND');
+            
+            assert.equal(http.requests.length, requests);
+            assert.equal(metrics.cache.get('hit'), 1);
+        });
+        
+        test('shares one fetch between concurrent lookups', async () => {
+            await Promise.all([stats.fetchPlayerStats('1633864660', 'IND'), stats.fetchPlayerStats('1633864660', 'IND')]);
+            
+            assert.equal(http.requests.filter((request) => request.url === `${PRIMARY}/account?region=IND&uid=1633864660`).length, 1);
+        });
+        
+        test('saves a snapshot of every fetched player', async () => {
+            await stats.fetchPlayerStats('1633864660', 'IND');
+            
+            const snapshots = await createStorage(dataDir).loadPlayerSnapshots('1633864660', 'IND');
+            assert.equal(snapshots.length, 1);
+            assert.equal(snapshots[0].rankingPoints, 2580);
+        });
+    });
+    
+    describe('fetchGuildInfo', () => {
+        test('returns the guild from the primary API', async () => {
+            const guild = await stats.fetchGuildInfo('3033195648', 'IND');
+            
+            assert.equal(guild.clanName, 'NightWolves');
+            assert.equal(guild.memberNum, 38);
+        });
+        
+        test('returns null for an unknown guild', async () => {
+            assert.equal(await stats.fetchGuildInfo('4040404040', 'IND'), null);
+        });
+        
+        test('rejects an HTML page served in place of JSON', async () => {
+            await assert.rejects(stats.fetchGuildInfo('6000000000', 'IND'), /returned bad data \(response is not an object\)/);
+        });
+        
+        test('rejects an upstream error status', async () => {
+            await assert.rejects(stats.fetchGuildInfo('5000000000', 'IND'), /status code 500/);
+        });
+        
+        test('resolves the roster to nicknames, leaving unknown members without one', async () => {
+            const guild = await stats.fetchGuildInfo('3033195648', 'IND');
+            const roster = await stats.resolveGuildRoster(guild, 'IND');
+            
+            assert.deepEqual(roster, [
+                { uid: '1633864660', role: 'captain', nickname: 'SniperKing' },
+                { uid: '2205436102', role: 'deputy', nickname: 'Sniper_Queen' },
+                { uid: '9999999999', role: 'member', nickname: null }
+            ]);
+        });
+        
+        test('caches the roster and resolves at most GUILD_MEMBER_LIMIT members, leaders first', async () => {
+            const guild = await stats.fetchGuildInfo('3033195648', 'IND');
+            const members = Array.from({ length: GUILD_MEMBER_LIMIT + 20 }, (value, index) => String(8000000000 + index));
+            const large = { ...guild, clanId: '3033195649', members: members };
+            
+            const roster = await stats.resolveGuildRoster(large, 'IND');
+            assert.equal(roster.length, GUILD_MEMBER_LIMIT);
+            assert.deepEqual(roster.slice(0, 2).map((member) => member.role), ['captain', 'deputy']);
+            
+            const requests = http.requests.length;
+            await stats.resolveGuildRoster(large, 'IND');
+            assert.equal(http.requests.length, requests);
+        });
+    });
+    
+    describe('searchPlayerByNickname', () => {
+        test('returns the close matches of the search page, best first', async () => {
+            const results = await stats.searchPlayerByNickname('Sniper');
+            
+            assert.deepEqual(results.map((player) => player.uid), ['1633864660', '2205436102']);
+            assert.equal(results[0].region, 'IND');
+        });
+        
+        test('finds nothing on an empty results page', async () => {
+            assert.deepEqual(await stats.searchPlayerByNickname('Nobody'), []);
+        });
+    });
+});
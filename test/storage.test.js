@@ -0,0 +1,73 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+require('./helpers/quiet-console');
+
+describe('player snapshots', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const player = { uid: '1633864660', region: 'IND', nickname: 'SniperKing', level: 67, rankingPoints: 2580 };
+    let dataDir;
+    let storage;
+    
+    // Append a snapshot from a given time, as an older bot run would have
+    function appendSnapshot(uid, timestamp, fileName = path.join('snapshots', `${uid}-IND.jsonl`)) {
+        fs.mkdirSync(path.join(dataDir, 'snapshots'), { recursive: true });
+        fs.appendFileSync(path.join(dataDir, fileName), JSON.stringify({ uid, region: 'IND', timestamp, nickname: `P${uid}` }) + '\n');
+    }
+    
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffbot-storage-'));
+        storage = createStorage(dataDir);
+    });
+    
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    
+    test('keeps one history file per player, read oldest first', async () => {
+        appendSnapshot('1', 3000);
+        appendSnapshot('2', 2000);
+        appendSnapshot('1', 1000);
+        
+        assert.deepEqual((await storage.loadPlayerSnapshots('1', 'IND')).map((snapshot) => snapshot.timestamp), [1000, 3000]);
+        assert.deepEqual((await storage.loadPlayerSnapshots('2', 'IND', 2500)), []);
+        assert.deepEqual(await storage.loadPlayerSnapshots('../1', 'IND'), []);
+    });
+    
+    test('skips a snapshot when the stats did not change', async () => {
+        storage.savePlayerSnapshot(player);
+        storage.savePlayerSnapshot(player);
+        storage.savePlayerSnapshot({ ...player, rankingPoints: 2600 });
+        
+        assert.deepEqual((await storage.loadPlayerSnapshots('1633864660', 'IND')).map((snapshot) => snapshot.rankingPoints), [2580, 2600]);
+    });
+    
+    test('moves the single history file of earlier versions into the per-player files', async () => {
+        appendSnapshot('1', 1000, 'snapshots.jsonl');
+        appendSnapshot('2', 2000, 'snapshots.jsonl');
+        
+        const migrated = createStorage(dataDir);
+        assert.equal(fs.existsSync(path.join(dataDir, 'snapshots.jsonl')), false);
+        assert.equal((await migrated.loadPlayerSnapshots('1', 'IND')).length, 1);
+        assert.equal((await migrated.loadPlayerSnapshots('2', 'IND')).length, 1);
+    });
+    
+    test('compacts away snapshots older than the retention', async () => {
+        const now = Date.now();
+        appendSnapshot('1', now - 400 * DAY);
+        appendSnapshot('1', now - 30 * DAY);
+        fs.appendFileSync(path.join(dataDir, 'snapshots', '1-IND.jsonl'), '{"uid":"1","regi\n');
+        appendSnapshot('1', now);
+        appendSnapshot('2', now - 400 * DAY);
+        
+        assert.equal(await storage.compactSnapshots(now), 3);
+        assert.deepEqual((await storage.loadPlayerSnapshots('1', 'IND')).map((snapshot) => snapshot.timestamp), [now - 30 * DAY, now]);
+        assert.equal(fs.existsSync(path.join(dataDir, 'snapshots', '2-IND.jsonl')), false);
+        
+        // Nothing left to drop, so no file is rewritten
+        assert.equal(await storage.compactSnapshots(now), 0);
+    });
+});
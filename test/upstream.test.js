@@ -0,0 +1,142 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadConfig } = require('../config');
+const { createUpstreamClient } = require('../lib/upstream');
+const { createMetrics } = require('../lib/metrics');
+const { accountSchema, guildSchema } = require('../lib/schemas');
+const { PRIMARY, createFixtureHttp } = require('./helpers/fixture-http');
+require('./helpers/quiet-console');
+
+const SOURCE = 'Free FF API (Primary)';
+const ACCOUNT_URL = `${PRIMARY}/account?region=IND&uid=1633864660`;
+const OK = { file: 'free-ff-api/account-1633864660.json' };
+const BAD_GATEWAY = { status: 502, file: 'free-ff-api/bad-gateway.html' };
+
+describe('upstream client', () => {
+    let http;
+    let metrics;
+    let upstream;
+    
+    beforeEach(() => {
+        const config = loadConfig({ BOT_TOKEN: '123456:TEST-token', CONFIG_FILE: path.join(__dirname, 'fixtures', 'config.json') });
+        config.http.circuitBreaker = { failureThreshold: 2, resetTimeout: 40 };
+        http = createFixtureHttp();
+        metrics = createMetrics();
+        upstream = createUpstreamClient({ config, http, metrics });
+    });
+    
+    const requestsTo = (url) => http.requests.filter((request) => request.url === url).length;
+    
+    describe('retries', () => {
+        test('retry transient failures until the source answers', async () => {
+            http.route(ACCOUNT_URL, [BAD_GATEWAY, { networkError: 'ETIMEDOUT' }, OK]);
+            
+            const response = await upstream.get(ACCOUNT_URL);
+            
+            assert.equal(response.data.basicInfo.nickname, 'SniperKing');
+            assert.equal(requestsTo(ACCOUNT_URL), 3);
+            assert.equal(metrics.upstreamRetries.get(SOURCE), 2);
+            assert.equal(upstream.sourceHealth.get(SOURCE).consecutiveFailures, 0);
+        });
+        
+        test('give up after the configured retries', async () => {
+            http.route(ACCOUNT_URL, BAD_GATEWAY);
+            
+            await assert.rejects(upstream.get(ACCOUNT_URL), /status code 502/);
+            assert.equal(requestsTo(ACCOUNT_URL), 3);
+        });
+        
+        test('do not retry answers that will not change', async () => {
+            http.route(ACCOUNT_URL, { status: 404, file: 'free-ff-api/account-not-found.json' });
+            
+            await assert.rejects(upstream.get(ACCOUNT_URL), /status code 404/);
+            assert.equal(requestsTo(ACCOUNT_URL), 1);
+            assert.equal(upstream.sourceHealth.get(SOURCE).consecutiveFailures, 0);
+        });
+        
+        test('share one request between concurrent callers', async () => {
+            await Promise.all([upstream.get(ACCOUNT_URL), upstream.get(ACCOUNT_URL)]);
+            
+            assert.equal(requestsTo(ACCOUNT_URL), 1);
+        });
+    });
+    
+    describe('circuit breaker', () => {
+        test('skip a source after repeated failures', async () => {
+            http.route(ACCOUNT_URL, BAD_GATEWAY);
+            
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            assert.equal(upstream.sourceHealth.get(SOURCE).circuit, 'open');
+            assert.equal(metrics.circuitTrips.get(SOURCE), 1);
+            
+            const requests = http.requests.length;
+            await assert.rejects(upstream.get(ACCOUNT_URL), (error) => error.code === 'ECIRCUITOPEN');
+            assert.equal(http.requests.length, requests);
+        });
+        
+        test('let a trial request through after the reset timeout and close on success', async () => {
+            http.route(ACCOUNT_URL, BAD_GATEWAY);
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            http.route(ACCOUNT_URL, OK);
+            
+            await upstream.get(ACCOUNT_URL);
+            assert.equal(upstream.sourceHealth.get(SOURCE).circuit, 'closed');
+        });
+        
+        test('open again when the trial request fails', async () => {
+            http.route(ACCOUNT_URL, BAD_GATEWAY);
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            await assert.rejects(upstream.get(ACCOUNT_URL), /status code 502/);
+            
+            assert.equal(upstream.sourceHealth.get(SOURCE).circuit, 'open');
+            await assert.rejects(upstream.get(ACCOUNT_URL), (error) => error.code === 'ECIRCUITOPEN');
+        });
+        
+        test('only count failures of the source itself', async () => {
+            const otherUrl = `${PRIMARY}/account?region=IND&uid=2205436102`;
+            http.route(ACCOUNT_URL, BAD_GATEWAY);
+            
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            await upstream.get(otherUrl);
+            await assert.rejects(upstream.get(ACCOUNT_URL));
+            
+            assert.equal(upstream.sourceHealth.get(SOURCE).circuit, 'closed');
+        });
+    });
+    
+    describe('schema validation', () => {
+        test('accept bodies that match the schema and not-found answers', async () => {
+            await upstream.get(ACCOUNT_URL, { schema: accountSchema });
+            const response = await upstream.get(`${PRIMARY}/account?region=IND&uid=9999999999`, { schema: accountSchema });
+            assert.equal(response.data.error, 'Player not found');
+        });
+        
+        test('turn bodies that do not match into bad data errors', async () => {
+            http.route(ACCOUNT_URL, { file: 'free-ff-api/account-without-basic-info.json' });
+            
+            await assert.rejects(upstream.get(ACCOUNT_URL, { schema: accountSchema }), (error) => {
+                assert.equal(error.code, 'EBADDATA');
+                assert.equal(error.message, `${SOURCE} returned bad data (response.basicInfo is missing)`);
+                return true;
+            });
+            assert.equal(requestsTo(ACCOUNT_URL), 1);
+            assert.equal(metrics.errors.get('bad_data'), 1);
+            assert.equal(upstream.sourceHealth.get(SOURCE).consecutiveFailures, 1);
+        });
+        
+        test('name every wrong field', async () => {
+            http.route(`${PRIMARY}/guildInfo?region=IND&guildID=1`, { file: 'free-ff-api/account-1633864660.json' });
+            
+            await assert.rejects(upstream.get(`${PRIMARY}/guildInfo?region=IND&guildID=1`, { schema: guildSchema }),
+                /response\.clanId is missing, response\.clanName is missing/);
+        });
+    });
+});